@@ -0,0 +1,271 @@
+/**
+ * Threshold alert rules
+ * Rules live in a JSON file with the runs each one has already fired for, so
+ * an alert goes out at most once per run - across refetches and restarts.
+ *
+ * Rule shape:
+ *   { id, name, station, param, metric, operator, threshold, probability, webhooks, enabled }
+ * metric 'probability' fires when the share of members with `value <operator> threshold`
+ * reaches `probability` percent; 'mean', 'median', 'max' and 'min' compare that
+ * ensemble statistic against `threshold`. Either way, any single forecast time counts.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const METRICS = ['probability', 'mean', 'median', 'max', 'min'];
+const OPERATORS = ['>=', '<='];
+const UNITS = { snow: 'in', precip: 'in', temp: '°F', wind: 'kts' };
+const FIRED_RUNS_KEPT = 60; // More runs than the 14-day cache holds (4 a day), so a re-cached run can't fire again
+const HISTORY_KEPT = 100;
+const WEBHOOK_TIMEOUT = 10000;
+
+/**
+ * Human-readable rule, e.g. "P(Total-SNO ≥ 4 in) ≥ 40% at EWR"
+ */
+function describeRule(rule, paramTypes) {
+    const op = rule.operator === '<=' ? '≤' : '≥';
+    const value = `${rule.threshold} ${UNITS[paramTypes[rule.param]]}`;
+    const condition = rule.metric === 'probability'
+        ? `P(${rule.param} ${op} ${value}) ≥ ${rule.probability}%`
+        : `${rule.metric} ${rule.param} ${op} ${value}`;
+    return `${condition} at ${rule.station}`;
+}
+
+function compare(operator, value, threshold) {
+    return operator === '<=' ? value <= threshold : value >= threshold;
+}
+
+/**
+ * First forecast time at which a rule's condition holds
+ * @param {Object} rule - { metric, operator, threshold, probability }
+ * @param {Map<number, number[]>} valuesByTime - time -> member values
+ * @param {Object} stats - computeStats(data).all series
+ * @returns {{time: number, value: number}|null} value is the percentage or statistic
+ */
+function matchRule(rule, valuesByTime, stats) {
+    if (rule.metric === 'probability') {
+        for (const [time, values] of valuesByTime) {
+            const hits = values.filter(v => compare(rule.operator, v, rule.threshold)).length;
+            const percent = Math.round((hits / values.length) * 1000) / 10;
+            if (percent >= rule.probability) return { time, value: percent };
+        }
+        return null;
+    }
+    const point = stats[rule.metric].find(p => compare(rule.operator, p.y, rule.threshold));
+    return point ? { time: point.x, value: point.y } : null;
+}
+
+/**
+ * POST a JSON payload to a webhook
+ * @returns {Promise<number>} HTTP status
+ */
+async function sendWebhook(url, payload) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'User-Agent': 'SREF-Viewer/1.0 (Alerts)' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    if (!response.ok) {
+        throw new Error(`Webhook returned ${response.status}`);
+    }
+    return response.status;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - JSON file holding rules, fired runs and history
+ * @param {Object} options.paramTypes - SREF param -> 'snow' | 'precip' | 'temp' | 'wind'
+ * @param {function(string): Object|null} options.getStation - Station registry lookup
+ */
+function createAlertStore(options) {
+    const { file, paramTypes, getStation } = options;
+
+    let state = { rules: [], fired: {}, history: [] };
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+            }
+        } catch (err) {
+            console.error('[ALERTS] Failed to load rules:', err.message);
+        }
+    }
+
+    function save() {
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(state, null, 2));
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    /**
+     * Validate and normalize a rule from the admin API
+     * Throws with err.status = 400 when invalid
+     */
+    function validate(input, existing = {}) {
+        const rule = { ...existing, ...input };
+        const fail = (message) => {
+            const err = new Error(message);
+            err.status = 400;
+            throw err;
+        };
+
+        const station = getStation(rule.station);
+        if (!station) fail(`Unknown station: ${rule.station}`);
+        if (!paramTypes[rule.param]) fail(`Invalid parameter: ${rule.param}`);
+        if (!METRICS.includes(rule.metric)) fail(`metric must be one of: ${METRICS.join(', ')}`);
+
+        const operator = rule.operator || '>=';
+        if (!OPERATORS.includes(operator)) fail(`operator must be one of: ${OPERATORS.join(', ')}`);
+        if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) fail('threshold must be a number');
+
+        let probability = null;
+        if (rule.metric === 'probability') {
+            probability = rule.probability;
+            if (typeof probability !== 'number' || probability <= 0 || probability > 100) {
+                fail('probability must be a percentage between 0 and 100');
+            }
+        }
+
+        const webhooks = Array.isArray(rule.webhooks) ? rule.webhooks : [];
+        if (webhooks.length === 0) fail('At least one webhook URL is required');
+        for (const url of webhooks) {
+            let parsed;
+            try {
+                parsed = new URL(url);
+            } catch {
+                fail(`Invalid webhook URL: ${url}`);
+            }
+            if (!['http:', 'https:'].includes(parsed.protocol)) fail(`Webhook must be http(s): ${url}`);
+        }
+
+        return {
+            id: existing.id || crypto.randomBytes(6).toString('hex'),
+            name: typeof rule.name === 'string' ? rule.name.slice(0, 100) : '',
+            station: station.id,
+            param: rule.param,
+            metric: rule.metric,
+            operator,
+            threshold: rule.threshold,
+            probability,
+            webhooks,
+            enabled: rule.enabled !== false,
+            createdAt: existing.createdAt || new Date().toISOString()
+        };
+    }
+
+    function withDescription(rule) {
+        return { ...rule, description: describeRule(rule, paramTypes) };
+    }
+
+    function list() {
+        return state.rules.map(withDescription);
+    }
+
+    function get(id) {
+        const rule = state.rules.find(r => r.id === id);
+        return rule ? withDescription(rule) : null;
+    }
+
+    function create(input) {
+        const rule = validate(input);
+        state.rules.push(rule);
+        save();
+        return withDescription(rule);
+    }
+
+    function update(id, input) {
+        const index = state.rules.findIndex(r => r.id === id);
+        if (index === -1) return null;
+        const rule = validate(input, state.rules[index]);
+        state.rules[index] = rule;
+        save();
+        return withDescription(rule);
+    }
+
+    function remove(id) {
+        const before = state.rules.length;
+        state.rules = state.rules.filter(r => r.id !== id);
+        delete state.fired[id];
+        if (state.rules.length === before) return false;
+        save();
+        return true;
+    }
+
+    /**
+     * Evaluate every enabled rule for a newly cached param and send webhooks
+     * @param {Object} run - { station, date, run, param, url }
+     * @param {Map<number, number[]>} valuesByTime - time -> member values
+     * @param {Object} stats - computeStats(data).all series
+     * @returns {Promise<Object[]>} History entries for the alerts that fired
+     */
+    async function evaluate(run, valuesByTime, stats) {
+        const runKey = `${run.date}_${run.run}`;
+        const fired = [];
+
+        for (const rule of state.rules) {
+            if (!rule.enabled || rule.station !== run.station || rule.param !== run.param) continue;
+            if ((state.fired[rule.id] || []).includes(runKey)) continue;
+
+            const hit = matchRule(rule, valuesByTime, stats);
+            if (!hit) continue;
+
+            // Recorded before sending, so a slow or failing webhook can't cause a repeat
+            state.fired[rule.id] = [...(state.fired[rule.id] || []), runKey].slice(-FIRED_RUNS_KEPT);
+            save();
+
+            const payload = {
+                alert: withDescription(rule).description,
+                rule: { id: rule.id, name: rule.name },
+                station: run.station,
+                date: run.date,
+                run: run.run,
+                param: run.param,
+                time: new Date(hit.time).toISOString(),
+                value: hit.value,
+                url: run.url
+            };
+            const entry = { ruleId: rule.id, firedAt: new Date().toISOString(), ...payload, deliveries: [] };
+
+            for (const url of rule.webhooks) {
+                try {
+                    const status = await sendWebhook(url, payload);
+                    entry.deliveries.push({ url, status });
+                } catch (err) {
+                    entry.deliveries.push({ url, error: err.message });
+                    console.error(`[ALERTS] Webhook ${url} failed:`, err.message);
+                }
+            }
+
+            state.history = [entry, ...state.history].slice(0, HISTORY_KEPT);
+            fired.push(entry);
+            console.log(`[ALERTS] Fired "${payload.alert}" for ${runKey}`);
+        }
+
+        if (fired.length > 0) save();
+        return fired;
+    }
+
+    /**
+     * Send a sample payload to a rule's webhooks without recording anything
+     */
+    async function test(id) {
+        const rule = get(id);
+        if (!rule) return null;
+        const payload = { alert: rule.description, rule: { id: rule.id, name: rule.name }, test: true };
+        return Promise.all(rule.webhooks.map(url => sendWebhook(url, payload)
+            .then(status => ({ url, status }))
+            .catch(err => ({ url, error: err.message }))));
+    }
+
+    function history() {
+        return state.history;
+    }
+
+    load();
+
+    return { list, get, create, update, remove, evaluate, test, history };
+}
+
+module.exports = { createAlertStore, describeRule, matchRule };
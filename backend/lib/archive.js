@@ -0,0 +1,192 @@
+/**
+ * Long-term archive of complete SREF runs
+ * Unlike the cache, nothing here expires: each param of an archived run is kept
+ * forever as <dir>/<STATION>/<YYYY-MM-DD>_<run>/<param>.json.gz.
+ *
+ * Files use a compact column layout - one shared time axis plus a bare value
+ * array per member - instead of the {x, y} objects the API serves:
+ *   { v: 1, times: [t0, t1, ...], series: { ARWC: [y0, y1, ...], ... } }
+ * Values are rounded to 4 decimals; a member missing a timestamp holds null.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FORMAT_VERSION = 1;
+const RUN_DIR_PATTERN = /^(\d{4}-\d{2}-\d{2})_(\d{2})$/;
+const NAME_PATTERN = /^[A-Za-z0-9-]+$/; // Stations and params
+
+function encode(data) {
+    const times = [...new Set(Object.values(data).flatMap(points => points.map(p => p.x)))]
+        .sort((a, b) => a - b);
+    const column = new Map(times.map((t, i) => [t, i]));
+
+    const series = {};
+    for (const [label, points] of Object.entries(data)) {
+        const values = new Array(times.length).fill(null);
+        for (const { x, y } of points) {
+            values[column.get(x)] = Math.round(y * 10000) / 10000;
+        }
+        series[label] = values;
+    }
+    return { v: FORMAT_VERSION, times, series };
+}
+
+function decode({ times, series }) {
+    const data = {};
+    for (const [label, values] of Object.entries(series)) {
+        data[label] = [];
+        values.forEach((y, i) => {
+            if (y !== null) data[label].push({ x: times[i], y });
+        });
+    }
+    return data;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Archive root directory
+ */
+function createArchive(options) {
+    const { dir } = options;
+
+    // station -> Map('<date>_<run>' -> Set(params))
+    const index = new Map();
+
+    // Only well-formed names reach the filesystem, so nothing can escape the archive directory
+    function runDir(station, date, run) {
+        if (!NAME_PATTERN.test(station) || !RUN_DIR_PATTERN.test(`${date}_${run}`)) {
+            throw new Error(`Invalid archive run: ${station}/${date}_${run}`);
+        }
+        return path.join(dir, station, `${date}_${run}`);
+    }
+
+    function fileFor(station, date, run, param) {
+        if (!NAME_PATTERN.test(param)) {
+            throw new Error(`Invalid archive param: ${param}`);
+        }
+        return path.join(runDir(station, date, run), `${param}.json.gz`);
+    }
+
+    function addToIndex(station, date, run, param) {
+        if (!index.has(station)) index.set(station, new Map());
+        const runs = index.get(station);
+        const key = `${date}_${run}`;
+        if (!runs.has(key)) runs.set(key, new Set());
+        runs.get(key).add(param);
+    }
+
+    function has(station, date, run, param) {
+        return index.get(station)?.get(`${date}_${run}`)?.has(param) || false;
+    }
+
+    /**
+     * Archive one param of a complete run, replacing any earlier copy
+     */
+    async function save(station, date, run, param, data) {
+        const filePath = fileFor(station, date, run, param);
+        const contents = await gzip(JSON.stringify(encode(data)));
+        const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        try {
+            await fs.promises.writeFile(tmpPath, contents);
+            await fs.promises.rename(tmpPath, filePath);
+        } catch (err) {
+            fs.promises.unlink(tmpPath).catch(() => { });
+            throw err;
+        }
+        addToIndex(station, date, run, param);
+    }
+
+    /**
+     * Read one archived param
+     * @returns {Promise<{data: Object, archivedAt: Date}|null>}
+     */
+    async function get(station, date, run, param) {
+        if (!has(station, date, run, param)) return null;
+        const filePath = fileFor(station, date, run, param);
+        try {
+            const [contents, stat] = await Promise.all([
+                fs.promises.readFile(filePath),
+                fs.promises.stat(filePath)
+            ]);
+            const stored = JSON.parse(await gunzip(contents));
+            return { data: decode(stored), archivedAt: stat.mtime };
+        } catch (err) {
+            console.error(`[ARCHIVE] Failed to read ${station}/${date}_${run}/${param}:`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Archived runs for a station, newest first
+     * @returns {Array<{date: string, run: string, params: string[]}>}
+     */
+    function list(station) {
+        const runs = index.get(station);
+        if (!runs) return [];
+        return [...runs]
+            .filter(([key]) => RUN_DIR_PATTERN.test(key))
+            .map(([key, params]) => {
+                const [, date, run] = key.match(RUN_DIR_PATTERN);
+                return { date, run, params: [...params].sort() };
+            })
+            .sort((a, b) => `${b.date}_${b.run}`.localeCompare(`${a.date}_${a.run}`));
+    }
+
+    /**
+     * One summary line per archived station
+     * @returns {Array<{station: string, runs: number, first: string, last: string}>}
+     */
+    function summary() {
+        return [...index.keys()].sort().map(station => {
+            const runs = list(station);
+            if (runs.length === 0) return null;
+            return {
+                station,
+                runs: runs.length,
+                first: runs[runs.length - 1].date,
+                last: runs[0].date
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Build the index from the directory tree - no archive files are read
+     */
+    function load() {
+        fs.mkdirSync(dir, { recursive: true });
+        let files = 0;
+        for (const station of fs.readdirSync(dir)) {
+            const stationDir = path.join(dir, station);
+            if (!fs.statSync(stationDir).isDirectory()) continue;
+            for (const run of fs.readdirSync(stationDir)) {
+                const match = run.match(RUN_DIR_PATTERN);
+                if (!match) continue;
+                for (const name of fs.readdirSync(path.join(stationDir, run))) {
+                    if (name.endsWith('.tmp')) {
+                        fs.unlink(path.join(stationDir, run, name), () => { });
+                        continue;
+                    }
+                    if (!name.endsWith('.json.gz')) continue;
+                    addToIndex(station, match[1], match[2], name.slice(0, -'.json.gz'.length));
+                    files++;
+                }
+            }
+        }
+        console.log(`[ARCHIVE] Indexed ${files} archived params across ${index.size} stations`);
+    }
+
+    load();
+
+    return { save, get, has, list, summary };
+}
+
+module.exports = { createArchive };
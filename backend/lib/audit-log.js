@@ -0,0 +1,114 @@
+/**
+ * Admin audit log
+ * Append-only JSON lines (one event per line) under the data directory. When the
+ * file would grow past maxBytes it is rotated to audit.log.1 (shifting older
+ * files up), and files beyond maxFiles are deleted.
+ *
+ * Event shape: { time, action, actor, ip, target?, details? }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MAX_VALUE_LENGTH = 500; // Longer strings (custom CSS, scripts) are shortened in details
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Shorten long strings anywhere in a value so one event can't bloat the log
+ */
+function truncate(value) {
+    if (typeof value === 'string' && value.length > MAX_VALUE_LENGTH) {
+        return `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} chars)`;
+    }
+    if (Array.isArray(value)) return value.map(truncate);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, truncate(v)]));
+    }
+    return value;
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Directory for audit.log and its rotations
+ * @param {number} options.maxBytes - Rotate when the current file would exceed this
+ * @param {number} options.maxFiles - Rotated files kept besides the current one
+ */
+function createAuditLog(options) {
+    const { dir, maxBytes, maxFiles } = options;
+    const file = path.join(dir, 'audit.log');
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    function rotatedFile(n) {
+        return `${file}.${n}`;
+    }
+
+    function rotate() {
+        fs.rmSync(rotatedFile(maxFiles), { force: true });
+        for (let n = maxFiles - 1; n >= 1; n--) {
+            if (fs.existsSync(rotatedFile(n))) fs.renameSync(rotatedFile(n), rotatedFile(n + 1));
+        }
+        fs.renameSync(file, rotatedFile(1));
+        console.log('[AUDIT] Rotated audit log');
+    }
+
+    /**
+     * Append one event
+     * @param {Object} event - { action, actor, ip, target?, details? }
+     */
+    function record(event) {
+        const entry = { time: new Date().toISOString(), ...event };
+        if (entry.details) entry.details = truncate(entry.details);
+        const line = `${JSON.stringify(entry)}\n`;
+
+        try {
+            const size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+            if (size > 0 && size + Buffer.byteLength(line) > maxBytes) rotate();
+            fs.appendFileSync(file, line, { mode: 0o600 });
+        } catch (err) {
+            console.error('[AUDIT] Failed to write audit event:', err.message);
+        }
+    }
+
+    function readEntries(target) {
+        if (!fs.existsSync(target)) return [];
+        return fs.readFileSync(target, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+            try {
+                return [JSON.parse(line)];
+            } catch {
+                return []; // A torn last line after a crash
+            }
+        });
+    }
+
+    /**
+     * Events newest first, across the current and rotated files
+     * @param {Object} filters - { action (exact, or prefix ending in '.'), actor, since, until (ISO), limit }
+     * @returns {{entries: Object[], truncated: boolean}}
+     */
+    function query(filters = {}) {
+        const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(filters.limit, 10) || DEFAULT_LIMIT));
+        const actor = filters.actor ? String(filters.actor).toLowerCase() : null;
+        const matches = (entry) =>
+            (!filters.action || (filters.action.endsWith('.')
+                ? entry.action.startsWith(filters.action)
+                : entry.action === filters.action)) &&
+            (!actor || String(entry.actor || '').toLowerCase() === actor) &&
+            (!filters.since || entry.time >= filters.since) &&
+            (!filters.until || entry.time <= filters.until);
+
+        const entries = [];
+        const files = [file, ...Array.from({ length: maxFiles }, (_, i) => rotatedFile(i + 1))];
+        for (const target of files) {
+            const matching = readEntries(target).filter(matches).reverse();
+            entries.push(...matching);
+            if (entries.length > limit) break;
+        }
+        return { entries: entries.slice(0, limit), truncated: entries.length > limit };
+    }
+
+    return { record, query };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,283 @@
+/**
+ * Durable cache store for processed SREF data
+ * One file per entry under the cache directory, written atomically
+ * (temp file + rename) so a crash can only ever lose the entry being written.
+ * Only file metadata is read at startup; entry data is loaded on first access and
+ * kept in memory up to maxLoadedBytes, dropping the least recently used first.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding one JSON file per entry
+ * @param {number} options.ttl - Entry lifetime in ms
+ * @param {number} options.maxEntries - Evict oldest entries beyond this count
+ * @param {number} options.maxBytes - Evict oldest entries beyond this total size on disk
+ * @param {number} options.maxLoadedBytes - Keep at most this much entry data (by file size) in memory
+ * @param {string} [options.legacyFile] - Monolithic cache.json to migrate on first start
+ */
+function createCacheStore(options) {
+    const { dir, ttl, maxEntries, maxBytes, maxLoadedBytes, legacyFile } = options;
+
+    // key -> { cachedAt, expiry, size, data, reading }, kept in cachedAt order (oldest first)
+    // so eviction walks from the front instead of sorting
+    const index = new Map();
+    let totalBytes = 0;
+
+    // key -> size of entries whose data is in memory, least recently used first
+    const loaded = new Map();
+    let loadedBytes = 0;
+
+    // Pending writes per key, so rapid re-sets of one key land in order
+    const writes = new Map();
+
+    function fileFor(key) {
+        return path.join(dir, `${encodeURIComponent(key)}.json`);
+    }
+
+    function writeAtomic(filePath, contents) {
+        const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        return fs.promises.writeFile(tmpPath, contents)
+            .then(() => fs.promises.rename(tmpPath, filePath))
+            .catch((err) => {
+                fs.promises.unlink(tmpPath).catch(() => { });
+                throw err;
+            });
+    }
+
+    function queueWrite(key, task) {
+        const previous = writes.get(key) || Promise.resolve();
+        const next = previous.then(task).catch((err) => {
+            console.error(`[CACHE] Write error for ${key}:`, err.message);
+        });
+        writes.set(key, next);
+        next.then(() => {
+            if (writes.get(key) === next) writes.delete(key);
+        });
+        return next;
+    }
+
+    function forgetLoaded(key) {
+        if (!loaded.has(key)) return;
+        loadedBytes -= loaded.get(key);
+        loaded.delete(key);
+    }
+
+    // Mark an entry's data as just used, then drop data beyond maxLoadedBytes
+    function touchLoaded(key, entry) {
+        forgetLoaded(key);
+        loaded.set(key, entry.size);
+        loadedBytes += entry.size;
+
+        for (const [oldKey, size] of loaded) {
+            if (loadedBytes <= maxLoadedBytes || oldKey === key) break;
+            loaded.delete(oldKey);
+            loadedBytes -= size;
+            index.get(oldKey).data = undefined; // Still on disk, read again on next access
+        }
+    }
+
+    function removeFromIndex(key) {
+        forgetLoaded(key);
+        const entry = index.get(key);
+        if (!entry) return false;
+        totalBytes -= entry.size;
+        index.delete(key);
+        return true;
+    }
+
+    function remove(key) {
+        if (!removeFromIndex(key)) return false;
+        queueWrite(key, () => fs.promises.unlink(fileFor(key)).catch((err) => {
+            if (err.code !== 'ENOENT') throw err;
+        }));
+        return true;
+    }
+
+    function evict() {
+        for (const [key, entry] of index) {
+            const overCount = index.size > maxEntries;
+            const overSize = totalBytes > maxBytes;
+            const expired = Date.now() > entry.expiry;
+            if (!overCount && !overSize && !expired) break;
+            remove(key);
+            console.log(`[CACHE] Evicted: ${key}${expired ? ' (expired)' : ''}`);
+        }
+    }
+
+    // Entry data from disk, once any write still pending for the key has landed
+    async function readData(key) {
+        await writes.get(key);
+        try {
+            return JSON.parse(await fs.promises.readFile(fileFor(key), 'utf8')).data;
+        } catch (err) {
+            console.error(`[CACHE] Dropping unreadable entry ${key}:`, err.message);
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The entry's data, null if missing or expired
+     */
+    async function get(key) {
+        const entry = index.get(key);
+        if (!entry) return null;
+        if (Date.now() > entry.expiry) {
+            remove(key);
+            return null;
+        }
+        if (entry.data === undefined) {
+            // Concurrent cold reads of one entry share a single file read
+            if (!entry.reading) {
+                entry.reading = readData(key).finally(() => { entry.reading = null; });
+            }
+            const data = await entry.reading;
+            if (index.get(key) !== entry) return get(key); // Replaced or removed while reading
+            if (data === null) {
+                remove(key);
+                return null;
+            }
+            entry.data = data;
+        }
+        touchLoaded(key, entry);
+        return entry.data;
+    }
+
+    // Whether a live entry exists, without loading its data
+    function has(key) {
+        const entry = index.get(key);
+        return Boolean(entry) && Date.now() <= entry.expiry;
+    }
+
+    function set(key, data, cachedAt = Date.now()) {
+        const contents = JSON.stringify({ data, cachedAt: new Date(cachedAt).toISOString() });
+        const size = Buffer.byteLength(contents);
+
+        // Re-inserting moves the key to the back of the eviction order
+        removeFromIndex(key);
+        const entry = { cachedAt, expiry: cachedAt + ttl, size, data };
+        index.set(key, entry);
+        totalBytes += size;
+        touchLoaded(key, entry);
+
+        const written = queueWrite(key, async () => {
+            const filePath = fileFor(key);
+            await writeAtomic(filePath, contents);
+            const seconds = cachedAt / 1000;
+            await fs.promises.utimes(filePath, seconds, seconds);
+        });
+        evict();
+        return written;
+    }
+
+    function describe(entry) {
+        return { cachedAt: new Date(entry.cachedAt).toISOString(), expiry: entry.expiry, size: entry.size };
+    }
+
+    /**
+     * Metadata for one entry without loading its data
+     * @returns {{cachedAt: string, expiry: number, size: number}|null}
+     */
+    function info(key) {
+        const entry = index.get(key);
+        return entry ? describe(entry) : null;
+    }
+
+    /**
+     * Entry metadata without loading data, oldest first
+     * @returns {Iterable<[string, {cachedAt: string, expiry: number, size: number}]>}
+     */
+    function* entries() {
+        for (const [key, entry] of index) {
+            yield [key, describe(entry)];
+        }
+    }
+
+    /**
+     * Migrate a legacy monolithic cache.json into per-entry files
+     */
+    function migrateLegacy() {
+        if (!legacyFile || !fs.existsSync(legacyFile)) return;
+
+        try {
+            const json = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+            const now = Date.now();
+            const live = Object.entries(json)
+                .filter(([, val]) => val && val.expiry > now)
+                .map(([key, val]) => [key, val.data, new Date(val.cachedAt).getTime() || now])
+                .sort((a, b) => a[2] - b[2]);
+
+            for (const [key, data, cachedAt] of live) {
+                const contents = JSON.stringify({ data, cachedAt: new Date(cachedAt).toISOString() });
+                const filePath = fileFor(key);
+                fs.writeFileSync(`${filePath}.tmp`, contents);
+                fs.renameSync(`${filePath}.tmp`, filePath);
+                fs.utimesSync(filePath, cachedAt / 1000, cachedAt / 1000);
+            }
+
+            fs.renameSync(legacyFile, `${legacyFile}.migrated`);
+            console.log(`[CACHE] Migrated ${live.length} entries from ${path.basename(legacyFile)}`);
+        } catch (err) {
+            console.error('[CACHE] Failed to migrate legacy cache:', err.message);
+        }
+    }
+
+    /**
+     * Build the index from file names and modification times only
+     */
+    function load() {
+        fs.mkdirSync(dir, { recursive: true });
+        migrateLegacy();
+
+        const now = Date.now();
+        const found = [];
+        for (const name of fs.readdirSync(dir)) {
+            const filePath = path.join(dir, name);
+
+            // Leftovers from a write interrupted by a crash
+            if (name.endsWith('.tmp')) {
+                fs.unlink(filePath, () => { });
+                continue;
+            }
+            if (!name.endsWith('.json')) continue;
+
+            const stat = fs.statSync(filePath);
+            const cachedAt = stat.mtimeMs;
+            if (cachedAt + ttl < now) {
+                fs.unlink(filePath, () => { });
+                continue;
+            }
+            found.push([decodeURIComponent(name.slice(0, -5)), cachedAt, stat.size]);
+        }
+
+        // One sort at startup establishes the eviction order
+        found.sort((a, b) => a[1] - b[1]);
+        for (const [key, cachedAt, size] of found) {
+            index.set(key, { cachedAt, expiry: cachedAt + ttl, size, data: undefined });
+            totalBytes += size;
+        }
+        evict();
+        console.log(`[CACHE] Indexed ${index.size} entries from disk (${Math.round(totalBytes / 1024)} KB)`);
+    }
+
+    load();
+
+    return {
+        get,
+        set,
+        delete: remove,
+        has,
+        keys: () => index.keys(),
+        info,
+        entries,
+        evict,
+        get size() { return index.size; },
+        get bytes() { return totalBytes; },
+        get loadedBytes() { return loadedBytes; }
+    };
+}
+
+module.exports = { createCacheStore };
@@ -0,0 +1,132 @@
+/**
+ * Per-station forecast feed
+ * The viewer's plain-language summary (snow/rain range, confidence, trend vs
+ * the previous run) rendered server-side, one Atom entry per complete run.
+ */
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"']/g, c => XML_ESCAPES[c]);
+}
+
+/**
+ * Final-value stats across members, as getEnsembleStats() in the frontend
+ * @param {Object} data - Processed ensemble data (member -> [{x, y}], plus Mean)
+ * @returns {{mean: number, max: number, min: number, spread: number}|null}
+ */
+function finalStats(data) {
+    if (!data) return null;
+
+    const memberValues = [];
+    let meanValue = null;
+    for (const [label, points] of Object.entries(data)) {
+        if (!points || points.length === 0) continue;
+        const value = points[points.length - 1].y;
+        if (label === 'Mean') {
+            meanValue = value;
+        } else {
+            memberValues.push(value);
+        }
+    }
+    if (memberValues.length === 0) return null;
+
+    const max = Math.max(...memberValues);
+    const min = Math.min(...memberValues);
+    return { mean: meanValue, max, min, spread: max - min };
+}
+
+function getConfidenceLevel(spread) {
+    if (spread < 1) return 'high confidence';
+    if (spread < 3) return 'moderate spread';
+    return 'low agreement';
+}
+
+// Any member ending above 0.1" of snow
+function hasSnow(snowData) {
+    return Boolean(snowData) && Object.entries(snowData)
+        .some(([label, points]) => label !== 'Mean' && (points[points.length - 1]?.y || 0) > 0.1);
+}
+
+/**
+ * Summarize a run the way the viewer's summary bar does
+ * @param {Object} current - { 'Total-SNO': data, 'Total-QPF': data }
+ * @param {Object|null} previous - Same for the run before, for the trend
+ * @returns {{headline: string, range: string|null, confidence: string|null, trend: string|null}}
+ */
+function summarizeRun(current, previous) {
+    const snow = finalStats(current['Total-SNO']);
+    const precip = finalStats(current['Total-QPF']);
+    let summary = { headline: 'Dry conditions expected', range: null, confidence: null, trend: null };
+
+    if (snow && snow.max > 0.5) {
+        summary = {
+            headline: 'Snow likely',
+            range: `${snow.min.toFixed(1)}-${snow.max.toFixed(1)} in`,
+            confidence: getConfidenceLevel(snow.spread),
+            trend: null
+        };
+    } else if (precip && precip.max > 0.1) {
+        summary = {
+            headline: 'Rain likely',
+            range: `${precip.min.toFixed(2)}-${precip.max.toFixed(2)} in`,
+            confidence: getConfidenceLevel(precip.spread),
+            trend: null
+        };
+    }
+
+    // Trend of the mean total vs the previous run, when it moved by 0.1" or more
+    if (previous) {
+        const param = hasSnow(current['Total-SNO']) ? 'Total-SNO' : 'Total-QPF';
+        const now = finalStats(current[param]);
+        const before = finalStats(previous.data[param]);
+        if (now && before && now.mean !== null && before.mean !== null) {
+            const delta = now.mean - before.mean;
+            if (Math.abs(delta) >= 0.1) {
+                summary.trend = `${delta > 0 ? '↑' : '↓'} trending ${delta > 0 ? 'higher' : 'lower'} ` +
+                    `vs ${previous.run}Z (${delta > 0 ? '+' : ''}${delta.toFixed(1)} in)`;
+            }
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * One-line text for a summary
+ * @returns {{detail: string, text: string}} detail without the trend, text with it
+ */
+function formatSummary(summary) {
+    const detail = summary.range ? `${summary.headline}: ${summary.range} expected (${summary.confidence})` : summary.headline;
+    return { detail, text: summary.trend ? `${detail}. ${summary.trend}.` : `${detail}.` };
+}
+
+/**
+ * Render an Atom feed
+ * @param {Object} feed - { id, title, selfUrl, siteUrl, updated: Date, entries }
+ *   entries: [{ id, title, url, updated: Date, summary: string }], newest first
+ * @returns {string} XML
+ */
+function renderAtomFeed(feed) {
+    const entries = feed.entries.map(entry => `
+  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    <updated>${entry.updated.toISOString()}</updated>
+    <summary>${escapeXml(entry.summary)}</summary>
+  </entry>`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>SREF Viewer</name></author>${entries}
+</feed>
+`;
+}
+
+module.exports = { summarizeRun, formatSummary, renderAtomFeed };
@@ -0,0 +1,117 @@
+/**
+ * Minimal Prometheus metrics registry
+ * Counters, collect-time gauges and histograms rendered in the
+ * text exposition format (version 0.0.4).
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels);
+    if (pairs.length === 0) return '';
+    return `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+// Series are stored by a stable key built from label values in declared order
+function labelKey(labelNames, labels = {}) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function labelsFromKey(labelNames, key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    /**
+     * Monotonic counter
+     * @returns {{inc: function(Object=, number=)}}
+     */
+    function counter(name, help, labelNames = []) {
+        const series = new Map();
+        metrics.push({
+            name, help, type: 'counter',
+            lines: () => [...series].map(([key, value]) =>
+                `${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`)
+        });
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = labelKey(labelNames, labels);
+                series.set(key, (series.get(key) || 0) + amount);
+            }
+        };
+    }
+
+    /**
+     * Gauge whose value is read when metrics are scraped
+     */
+    function gauge(name, help, collect) {
+        metrics.push({
+            name, help, type: 'gauge',
+            lines: () => [`${name} ${collect()}`]
+        });
+    }
+
+    /**
+     * Histogram with cumulative buckets (upper bounds, ascending)
+     * @returns {{observe: function(Object, number), startTimer: function(): function(Object)}}
+     */
+    function histogram(name, help, labelNames = [], buckets = [0.1, 0.5, 1, 2.5, 5, 10]) {
+        const series = new Map();
+
+        function observe(labels, value) {
+            const key = labelKey(labelNames, labels);
+            let s = series.get(key);
+            if (!s) {
+                s = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, s);
+            }
+            buckets.forEach((bound, i) => {
+                if (value <= bound) s.counts[i]++;
+            });
+            s.sum += value;
+            s.count++;
+        }
+
+        metrics.push({
+            name, help, type: 'histogram',
+            lines: () => [...series].flatMap(([key, s]) => {
+                const labels = labelsFromKey(labelNames, key);
+                return [
+                    ...buckets.map((bound, i) =>
+                        `${name}_bucket${formatLabels({ ...labels, le: bound })} ${s.counts[i]}`),
+                    `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${s.count}`,
+                    `${name}_sum${formatLabels(labels)} ${s.sum}`,
+                    `${name}_count${formatLabels(labels)} ${s.count}`
+                ];
+            })
+        });
+
+        return {
+            observe,
+            // Returns a function that records the elapsed seconds when called
+            startTimer() {
+                const start = process.hrtime.bigint();
+                return (labels = {}) => observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+            }
+        };
+    }
+
+    function render() {
+        return metrics.map(m => [
+            `# HELP ${m.name} ${m.help}`,
+            `# TYPE ${m.name} ${m.type}`,
+            ...m.lines()
+        ].join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, gauge, histogram, render, contentType: CONTENT_TYPE };
+}
+
+module.exports = { createRegistry };
@@ -0,0 +1,182 @@
+/**
+ * Observed weather per station, used to verify archived forecasts
+ * Uploaded as CSV and stored as one JSON file per station:
+ *   { updatedAt, fields: { temp: [[time, value], ...], ... } }
+ * Times are epoch ms rounded to the nearest hour, so a :51 METAR lines up
+ * with the top-of-hour forecast times.
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const HOUR = 60 * 60 * 1000;
+
+// CSV column -> SREF param it verifies, in the param's native unit
+const OBSERVATION_FIELDS = {
+    temp: '3hrly-TMP',      // °F, hourly
+    wind: '3h-10mWND',      // kts, hourly
+    qpf_3h: '3hrly-QPF',    // in, accumulated over the previous 3 hours
+    qpf_total: 'Total-QPF', // in, running total from any fixed starting point
+    snow_3h: '3hrly-SNO',   // in, accumulated over the previous 3 hours
+    snow_total: 'Total-SNO' // in, running total from any fixed starting point
+};
+
+/**
+ * Parse an observations CSV
+ * The header row names the columns: `time` (ISO 8601 with a UTC offset) plus
+ * any of the OBSERVATION_FIELDS. Empty cells are treated as missing.
+ * @returns {{rows: Array<{time: number, values: Object}>, fields: string[], skipped: Array<{line: number, error: string}>}}
+ */
+function parseObservationsCsv(text) {
+    const lines = String(text).split(/\r?\n/);
+    const header = (lines[0] || '').split(',').map(h => h.trim().toLowerCase());
+
+    const timeIndex = header.indexOf('time');
+    if (timeIndex === -1) {
+        throw new Error('CSV header must include a "time" column');
+    }
+    const unknown = header.filter(h => h !== 'time' && h !== 'station' && !OBSERVATION_FIELDS[h]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown columns: ${unknown.join(', ')} (expected ${Object.keys(OBSERVATION_FIELDS).join(', ')})`);
+    }
+    const fields = header.filter(h => OBSERVATION_FIELDS[h]);
+    if (fields.length === 0) {
+        throw new Error('CSV has no observation columns');
+    }
+
+    const rows = [];
+    const skipped = [];
+    lines.slice(1).forEach((line, i) => {
+        if (!line.trim()) return;
+        const cells = line.split(',').map(c => c.trim());
+        const lineNumber = i + 2;
+
+        const parsed = Date.parse(cells[timeIndex]);
+        if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(cells[timeIndex] || '') || Number.isNaN(parsed)) {
+            skipped.push({ line: lineNumber, error: `Invalid time: ${cells[timeIndex] || '(empty)'}` });
+            return;
+        }
+
+        const values = {};
+        for (const field of fields) {
+            const cell = cells[header.indexOf(field)];
+            if (cell === undefined || cell === '') continue;
+            const value = Number(cell);
+            if (!Number.isFinite(value)) {
+                skipped.push({ line: lineNumber, error: `Invalid ${field}: ${cell}` });
+                return;
+            }
+            values[field] = value;
+        }
+        rows.push({ time: Math.round(parsed / HOUR) * HOUR, values });
+    });
+
+    return { rows, fields, skipped };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding one JSON file per station
+ */
+function createObservationStore(options) {
+    const { dir } = options;
+
+    // station -> { updatedAt, fields: { field: Map(time -> value) } }
+    const stations = new Map();
+
+    function fileFor(station) {
+        return path.join(dir, `${station}.json`);
+    }
+
+    function persist(station) {
+        const { updatedAt, fields } = stations.get(station);
+        const serialized = {
+            updatedAt,
+            fields: Object.fromEntries(Object.entries(fields).map(([field, series]) =>
+                [field, [...series].sort((a, b) => a[0] - b[0])]))
+        };
+        const filePath = fileFor(station);
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(serialized));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    /**
+     * Merge parsed rows into a station's observations - later uploads win
+     * @returns {number} Values stored
+     */
+    function add(station, rows) {
+        const entry = stations.get(station) || { updatedAt: null, fields: {} };
+        let stored = 0;
+        for (const { time, values } of rows) {
+            for (const [field, value] of Object.entries(values)) {
+                if (!entry.fields[field]) entry.fields[field] = new Map();
+                entry.fields[field].set(time, value);
+                stored++;
+            }
+        }
+        entry.updatedAt = new Date().toISOString();
+        stations.set(station, entry);
+        persist(station);
+        return stored;
+    }
+
+    /**
+     * A station's observations
+     * @returns {{updatedAt: string, fields: Object<string, Map<number, number>>}|null}
+     */
+    function get(station) {
+        return stations.get(station) || null;
+    }
+
+    function remove(station) {
+        if (!stations.delete(station)) return false;
+        fs.unlinkSync(fileFor(station));
+        return true;
+    }
+
+    /**
+     * Per-station counts and time range for each field
+     */
+    function summary() {
+        return [...stations.keys()].sort().map(station => {
+            const { updatedAt, fields } = stations.get(station);
+            return {
+                station,
+                updatedAt,
+                fields: Object.fromEntries(Object.entries(fields).map(([field, series]) => {
+                    const times = [...series.keys()];
+                    return [field, {
+                        count: series.size,
+                        first: new Date(Math.min(...times)).toISOString(),
+                        last: new Date(Math.max(...times)).toISOString()
+                    }];
+                }))
+            };
+        });
+    }
+
+    function load() {
+        fs.mkdirSync(dir, { recursive: true });
+        for (const name of fs.readdirSync(dir)) {
+            if (!name.endsWith('.json')) continue;
+            try {
+                const { updatedAt, fields } = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+                stations.set(name.slice(0, -5), {
+                    updatedAt,
+                    fields: Object.fromEntries(Object.entries(fields).map(([field, series]) => [field, new Map(series)]))
+                });
+            } catch (err) {
+                console.error(`[OBS] Failed to load ${name}:`, err.message);
+            }
+        }
+        if (stations.size > 0) {
+            console.log(`[OBS] Loaded observations for ${[...stations.keys()].join(', ')}`);
+        }
+    }
+
+    load();
+
+    return { add, get, remove, summary };
+}
+
+module.exports = { createObservationStore, parseObservationsCsv, OBSERVATION_FIELDS };
@@ -0,0 +1,215 @@
+/**
+ * Open Graph preview images for share links
+ * A 1200x630 PNG card - station, run, headline range and a mini plume - drawn
+ * into a raw pixel buffer with a built-in 5x7 font and encoded with zlib, so
+ * link unfurlers (which mostly reject SVG) get a real image without a canvas library.
+ */
+
+const zlib = require('zlib');
+const { MEMBER_COLORS } = require('./plume-svg');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+const COLORS = {
+    background: '#12121a',
+    panel: '#1a1a24',
+    text: '#e4e4ef',
+    dim: '#8a8a9f',
+    accent: '#6e9eff',
+    mean: '#ffffff'
+};
+
+// 5x7 glyphs, one 5-bit row per entry (uppercase only - text is upper-cased)
+const FONT = {
+    'A': [0x0E, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11], 'B': [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+    'C': [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E], 'D': [0x1E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x1E],
+    'E': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F], 'F': [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+    'G': [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F], 'H': [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+    'I': [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E], 'J': [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+    'K': [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11], 'L': [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+    'M': [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11], 'N': [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+    'O': [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], 'P': [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+    'Q': [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D], 'R': [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+    'S': [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E], 'T': [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+    'U': [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E], 'V': [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+    'W': [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A], 'X': [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+    'Y': [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04], 'Z': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+    '0': [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E], '1': [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+    '2': [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F], '3': [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+    '4': [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02], '5': [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+    '6': [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E], '7': [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+    '8': [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E], '9': [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+    '.': [0x00, 0x00, 0x00, 0x00, 0x00, 0x0C, 0x0C], ',': [0x00, 0x00, 0x00, 0x00, 0x0C, 0x04, 0x08],
+    ':': [0x00, 0x0C, 0x0C, 0x00, 0x0C, 0x0C, 0x00], '-': [0x00, 0x00, 0x00, 0x1F, 0x00, 0x00, 0x00],
+    '+': [0x00, 0x04, 0x04, 0x1F, 0x04, 0x04, 0x00], '/': [0x00, 0x01, 0x02, 0x04, 0x08, 0x10, 0x00],
+    '(': [0x02, 0x04, 0x08, 0x08, 0x08, 0x04, 0x02], ')': [0x08, 0x04, 0x02, 0x02, 0x02, 0x04, 0x08],
+    '%': [0x18, 0x19, 0x02, 0x04, 0x08, 0x13, 0x03], '°': [0x0C, 0x12, 0x12, 0x0C, 0x00, 0x00, 0x00],
+    '↑': [0x04, 0x0E, 0x15, 0x04, 0x04, 0x04, 0x04], '↓': [0x04, 0x04, 0x04, 0x04, 0x15, 0x0E, 0x04]
+};
+
+function textWidth(string, scale) {
+    return [...String(string)].length * 6 * scale - scale;
+}
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * RGB pixel buffer with the few drawing operations the card needs
+ */
+function createCanvas(width, height) {
+    const pixels = Buffer.alloc(width * height * 3);
+
+    function fillRect(x, y, w, h, color) {
+        const [r, g, b] = hexToRgb(color);
+        const x0 = Math.max(0, Math.round(x));
+        const y0 = Math.max(0, Math.round(y));
+        const x1 = Math.min(width, Math.round(x + w));
+        const y1 = Math.min(height, Math.round(y + h));
+        for (let py = y0; py < y1; py++) {
+            for (let px = x0; px < x1; px++) {
+                const i = (py * width + px) * 3;
+                pixels[i] = r;
+                pixels[i + 1] = g;
+                pixels[i + 2] = b;
+            }
+        }
+    }
+
+    // Thick line: a square brush stamped every half pixel along the segment
+    function line(x0, y0, x1, y1, color, thickness = 1) {
+        const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, y1 - y0) * 2));
+        const half = thickness / 2;
+        for (let s = 0; s <= steps; s++) {
+            const t = s / steps;
+            fillRect(x0 + (x1 - x0) * t - half, y0 + (y1 - y0) * t - half, thickness, thickness, color);
+        }
+    }
+
+    function text(string, x, y, scale, color) {
+        const advance = 6 * scale;
+        [...String(string).toUpperCase()].forEach((char, index) => {
+            const glyph = FONT[char];
+            if (!glyph) return;
+            glyph.forEach((row, gy) => {
+                for (let gx = 0; gx < 5; gx++) {
+                    if (row & (1 << (4 - gx))) {
+                        fillRect(x + index * advance + gx * scale, y + gy * scale, scale, scale, color);
+                    }
+                }
+            });
+        });
+    }
+
+    return { width, height, pixels, fillRect, line, text };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode an RGB canvas as PNG (8-bit truecolor, no filtering)
+ */
+function encodePng(canvas) {
+    const { width, height, pixels } = canvas;
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolor
+
+    const rowBytes = width * 3;
+    const raw = Buffer.alloc((rowBytes + 1) * height);
+    for (let y = 0; y < height; y++) {
+        pixels.copy(raw, y * (rowBytes + 1) + 1, y * rowBytes, (y + 1) * rowBytes);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw)),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function drawPlume(canvas, data, box) {
+    const series = Object.entries(data).filter(([, points]) => points.length > 0);
+    const points = series.flatMap(([, p]) => p);
+    const xMin = Math.min(...points.map(p => p.x));
+    const xMax = Math.max(...points.map(p => p.x));
+    const yMax = Math.max(...points.map(p => p.y), 0.1);
+
+    const x = t => box.x + ((t - xMin) / (xMax - xMin || 1)) * box.w;
+    const y = v => box.y + box.h - (v / yMax) * box.h;
+
+    const polyline = (line, color, thickness) => {
+        for (let i = 1; i < line.length; i++) {
+            canvas.line(x(line[i - 1].x), y(line[i - 1].y), x(line[i].x), y(line[i].y), color, thickness);
+        }
+    };
+
+    for (const [member, line] of series) {
+        if (member !== 'Mean') polyline(line, MEMBER_COLORS[member] || '#666666', 2);
+    }
+    if (data.Mean) polyline(data.Mean, COLORS.mean, 5);
+}
+
+/**
+ * Render a share preview card
+ * @param {Object} card
+ * @param {string} card.heading - e.g. "JFK 09Z 2026-10-19"
+ * @param {string} card.subheading - Station name
+ * @param {string} card.headline - e.g. "Snow likely: 1.5-2.8 in"
+ * @param {string} [card.detail] - Confidence and trend
+ * @param {Object} [card.plume] - Processed ensemble data for the mini plume
+ * @param {string} [card.footer]
+ * @returns {Buffer} PNG
+ */
+function renderOgImage(card) {
+    const canvas = createCanvas(WIDTH, HEIGHT);
+    canvas.fillRect(0, 0, WIDTH, HEIGHT, COLORS.background);
+    canvas.fillRect(0, 0, WIDTH, 8, COLORS.accent);
+
+    canvas.text(card.heading, 60, 56, 7, COLORS.text);
+    canvas.text(card.subheading, 60, 124, 3, COLORS.dim);
+    canvas.text(card.headline, 60, 180, 5, COLORS.accent);
+    if (card.detail) canvas.text(card.detail, 60, 230, 3, COLORS.text);
+
+    const box = { x: 60, y: 290, w: WIDTH - 120, h: 270 };
+    canvas.fillRect(box.x - 10, box.y - 10, box.w + 20, box.h + 20, COLORS.panel);
+    if (card.plume) {
+        drawPlume(canvas, card.plume, box);
+    } else {
+        const message = 'No forecast data yet';
+        canvas.text(message, box.x + (box.w - textWidth(message, 4)) / 2, box.y + box.h / 2 - 14, 4, COLORS.dim);
+    }
+
+    if (card.footer) {
+        canvas.text(card.footer, WIDTH - 60 - textWidth(card.footer, 3), HEIGHT - 40, 3, COLORS.dim);
+    }
+
+    return encodePng(canvas);
+}
+
+module.exports = { renderOgImage, OG_IMAGE_SIZE: { width: WIDTH, height: HEIGHT } };
@@ -0,0 +1,150 @@
+/**
+ * Standalone SVG plume charts
+ * Members, the Mean and optional P10-P90 core bands drawn as plain SVG, for
+ * embedding where JavaScript can't run (wikis, chat, email). Colors and the
+ * Eastern-time axis follow the viewer's Chart.js charts.
+ */
+
+// Same as CONFIG.memberColors in frontend/js/config.js
+const MEMBER_COLORS = {
+    ARWC: '#ff4444',
+    ARN1: '#cc3333', ARN2: '#bb2222', ARN3: '#aa1111',
+    ARN4: '#991111', ARN5: '#881111', ARN6: '#771111',
+    ARP1: '#ff6644', ARP2: '#ff7755', ARP3: '#ff8866',
+    ARP4: '#ff9977', ARP5: '#ffaa88', ARP6: '#ffbb99',
+    MBCN: '#4488ff',
+    MBN1: '#3377ee', MBN2: '#2266dd', MBN3: '#1155cc',
+    MBN4: '#0044bb', MBN5: '#0033aa', MBN6: '#002299',
+    MBP1: '#55aaff', MBP2: '#66bbff', MBP3: '#77ccff',
+    MBP4: '#88ddff', MBP5: '#99eeff', MBP6: '#aaffff',
+};
+
+// Same as CONFIG.params in frontend/js/config.js
+const PARAM_LABELS = {
+    'Total-SNO': { name: 'Total Snowfall', unit: 'in' },
+    '3hrly-SNO': { name: '3-Hour Snowfall', unit: 'in' },
+    'Total-QPF': { name: 'Total Precipitation', unit: 'in' },
+    '3hrly-QPF': { name: '3-Hour Precipitation', unit: 'in' },
+    '3hrly-TMP': { name: 'Temperature', unit: '°F' },
+    '3h-10mWND': { name: '10m Wind Speed', unit: 'kts' },
+};
+
+// Chart colors per theme, as getThemeColors() in frontend/js/charts.js
+const THEMES = {
+    dark: { background: '#12121a', grid: 'rgba(255,255,255,0.08)', tick: '#999', text: '#e4e4ef', mean: '#ffffff' },
+    light: { background: '#ffffff', grid: 'rgba(0,0,0,0.12)', tick: '#444', text: '#1c1c1e', mean: '#000000' }
+};
+
+const BAND_COLORS = { ARW: '255, 100, 100', NMB: '100, 150, 255' };
+const HOUR = 60 * 60 * 1000;
+const TIME_ZONE = 'America/New_York';
+
+const etHour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: TIME_ZONE });
+const etLabel = new Intl.DateTimeFormat('en-US', { weekday: 'short', hour: 'numeric', timeZone: TIME_ZONE });
+
+function escapeXml(value) {
+    return String(value).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// 1, 2 or 5 x 10^n, giving about `count` ticks across the range
+function niceStep(range, count) {
+    const rough = range / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const step = [1, 2, 5, 10].find(m => m * magnitude >= rough);
+    return step * magnitude;
+}
+
+/**
+ * Render a plume chart
+ * @param {Object} options
+ * @param {string} options.param - SREF param
+ * @param {Object} options.data - Processed ensemble data (member -> [{x, y}], plus Mean)
+ * @param {Object} [options.stats] - computeStats(data); draws ARW/NMB P10-P90 bands when given
+ * @param {string} [options.title] - Heading above the chart
+ * @param {string} [options.theme] - 'dark' (default) or 'light'
+ * @param {number} [options.width] - Pixels, default 800
+ * @param {number} [options.height] - Pixels, default 400
+ * @returns {string} SVG document
+ */
+function renderPlumeSvg(options) {
+    const { param, data, stats, title = '', width = 800, height = 400 } = options;
+    const theme = THEMES[options.theme] || THEMES.dark;
+    const label = PARAM_LABELS[param];
+    const isTemp = param === '3hrly-TMP';
+
+    const series = Object.entries(data).filter(([, points]) => points.length > 0);
+    const allPoints = series.flatMap(([, points]) => points);
+    const bandPoints = stats ? ['ARW', 'NMB'].flatMap(core => [...stats[core].p10, ...stats[core].p90]) : [];
+    const values = [...allPoints, ...bandPoints].map(p => p.y);
+
+    const plot = { left: 48, right: width - 12, top: title ? 34 : 12, bottom: height - 28 };
+
+    const out = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" ` +
+        `font-family="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif" font-size="11">`,
+        `<rect width="100%" height="100%" fill="${theme.background}"/>`
+    ];
+    if (title) {
+        out.push(`<text x="${plot.left}" y="20" fill="${theme.text}" font-size="14" font-weight="600">${escapeXml(title)}</text>`);
+    }
+
+    if (values.length === 0) {
+        out.push(`<text x="${width / 2}" y="${height / 2}" fill="${theme.tick}" text-anchor="middle">No data</text>`, '</svg>');
+        return out.join('\n');
+    }
+
+    const times = allPoints.map(p => p.x);
+    const xMin = Math.min(...times);
+    const xMax = Math.max(...times);
+    let yMin = isTemp ? Math.min(...values) : 0;
+    let yMax = Math.max(...values);
+    if (yMax === yMin) yMax = yMin + 1;
+    const yStep = niceStep(yMax - yMin, 5);
+    yMin = Math.floor(yMin / yStep) * yStep;
+    yMax = Math.ceil(yMax / yStep) * yStep;
+
+    const x = t => plot.left + ((t - xMin) / (xMax - xMin || 1)) * (plot.right - plot.left);
+    const y = v => plot.bottom - ((v - yMin) / (yMax - yMin)) * (plot.bottom - plot.top);
+    const path = points => points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`).join('');
+
+    // Horizontal grid and value ticks
+    const decimals = yStep < 1 ? String(yStep).split('.')[1].length : 0;
+    for (let v = yMin; v <= yMax + yStep / 2; v += yStep) {
+        const yPos = y(v).toFixed(1);
+        out.push(`<line x1="${plot.left}" x2="${plot.right}" y1="${yPos}" y2="${yPos}" stroke="${theme.grid}"/>`);
+        out.push(`<text x="${plot.left - 6}" y="${yPos}" dy="0.35em" fill="${theme.tick}" text-anchor="end">` +
+            `${v.toFixed(decimals)}${isTemp ? '°' : ''}</text>`);
+    }
+
+    // Vertical grid at Eastern midnight and noon (midnight only when narrow)
+    const tickHours = width < 500 ? [0] : [0, 12];
+    for (let t = Math.ceil(xMin / HOUR) * HOUR; t <= xMax; t += HOUR) {
+        if (!tickHours.includes(Number(etHour.format(t)))) continue;
+        const xPos = x(t).toFixed(1);
+        out.push(`<line x1="${xPos}" x2="${xPos}" y1="${plot.top}" y2="${plot.bottom}" stroke="${theme.grid}"/>`);
+        out.push(`<text x="${xPos}" y="${plot.bottom + 16}" fill="${theme.tick}" text-anchor="middle">${escapeXml(etLabel.format(t))}</text>`);
+    }
+
+    if (stats) {
+        for (const [core, rgb] of Object.entries(BAND_COLORS)) {
+            const { p10, p90 } = stats[core];
+            if (p10.length === 0) continue;
+            const outline = `${path(p90)}L${[...p10].reverse().map(p => `${x(p.x).toFixed(1)},${y(p.y).toFixed(1)}`).join('L')}Z`;
+            out.push(`<path d="${outline}" fill="rgba(${rgb}, 0.12)" stroke="rgba(${rgb}, 0.4)" stroke-width="1"/>`);
+        }
+    }
+
+    for (const [member, points] of series) {
+        if (member === 'Mean') continue;
+        out.push(`<path d="${path(points)}" fill="none" stroke="${MEMBER_COLORS[member] || '#666'}" stroke-width="1.2" stroke-opacity="0.85"/>`);
+    }
+    if (data.Mean?.length) {
+        out.push(`<path d="${path(data.Mean)}" fill="none" stroke="${theme.mean}" stroke-width="3"/>`);
+    }
+
+    out.push(`<text x="${plot.right}" y="${plot.top - 4}" fill="${theme.tick}" text-anchor="end">${escapeXml(label.unit)} · times ET</text>`);
+    out.push('</svg>');
+    return out.join('\n');
+}
+
+module.exports = { renderPlumeSvg, PARAM_LABELS, MEMBER_COLORS };
@@ -0,0 +1,160 @@
+/**
+ * Admin sessions
+ * Tokens are "<id>.<signature>", the signature an HMAC of the id with the session
+ * secret, so a token can't be forged from the session file alone and changing
+ * the secret logs everyone out. Sessions are persisted to survive restarts and
+ * expire after a period of inactivity (sliding), or at the latest after MAX_AGE.
+ * Each session carries a CSRF token that state-changing requests must echo.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const IDLE_TIMEOUT = 24 * 60 * 60 * 1000;
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const TOUCH_INTERVAL = 60 * 1000; // Persist lastSeen at most this often per session
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - JSON file holding the sessions
+ * @param {string} options.secret - Key for signing tokens
+ */
+function createSessionStore(options) {
+    const { file, secret } = options;
+
+    // id -> { username, csrfToken, created, lastSeen }
+    const sessions = new Map();
+
+    function sign(id) {
+        return crypto.createHmac('sha256', secret).update(id).digest('base64url');
+    }
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                const stored = JSON.parse(fs.readFileSync(file, 'utf8')).sessions || {};
+                for (const [id, session] of Object.entries(stored)) sessions.set(id, session);
+                prune();
+            }
+        } catch (err) {
+            console.error('[SESSIONS] Failed to load sessions:', err.message);
+        }
+    }
+
+    function save() {
+        try {
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify({ sessions: Object.fromEntries(sessions) }), { mode: 0o600 });
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (err) {
+            console.error('[SESSIONS] Failed to save sessions:', err.message);
+        }
+    }
+
+    function isExpired(session, now) {
+        return now - session.lastSeen > IDLE_TIMEOUT || now - session.created > MAX_AGE;
+    }
+
+    /**
+     * Drop expired sessions
+     * @returns {number} How many were dropped
+     */
+    function prune() {
+        const now = Date.now();
+        let dropped = 0;
+        for (const [id, session] of sessions) {
+            if (isExpired(session, now)) {
+                sessions.delete(id);
+                dropped++;
+            }
+        }
+        if (dropped > 0) save();
+        return dropped;
+    }
+
+    function parse(token) {
+        const [id, signature] = String(token || '').split('.');
+        if (!id || !signature || !safeEqual(signature, sign(id))) return null;
+        return id;
+    }
+
+    /**
+     * @returns {{token: string, csrfToken: string}}
+     */
+    function create(username) {
+        const id = crypto.randomBytes(32).toString('base64url');
+        const now = Date.now();
+        const session = {
+            username,
+            csrfToken: crypto.randomBytes(32).toString('base64url'),
+            created: now,
+            lastSeen: now
+        };
+        sessions.set(id, session);
+        save();
+        return { token: `${id}.${sign(id)}`, csrfToken: session.csrfToken };
+    }
+
+    /**
+     * Look up a token and extend its idle timeout
+     * @returns {{username: string, csrfToken: string}|null}
+     */
+    function touch(token) {
+        const id = parse(token);
+        const session = id && sessions.get(id);
+        if (!session) return null;
+
+        const now = Date.now();
+        if (isExpired(session, now)) {
+            sessions.delete(id);
+            save();
+            return null;
+        }
+        if (now - session.lastSeen > TOUCH_INTERVAL) {
+            session.lastSeen = now;
+            save();
+        }
+        return { username: session.username, csrfToken: session.csrfToken };
+    }
+
+    function checkCsrf(token, csrfToken) {
+        const id = parse(token);
+        const session = id && sessions.get(id);
+        return Boolean(session && csrfToken && safeEqual(csrfToken, session.csrfToken));
+    }
+
+    function revoke(token) {
+        const id = parse(token);
+        if (!id || !sessions.delete(id)) return false;
+        save();
+        return true;
+    }
+
+    /**
+     * Log a user out everywhere, optionally keeping one session (e.g. the caller's)
+     * @returns {number} Sessions revoked
+     */
+    function revokeUser(username, keepToken = null) {
+        const keepId = keepToken ? parse(keepToken) : null;
+        let revoked = 0;
+        for (const [id, session] of sessions) {
+            if (id !== keepId && session.username.toLowerCase() === username.toLowerCase()) {
+                sessions.delete(id);
+                revoked++;
+            }
+        }
+        if (revoked > 0) save();
+        return revoked;
+    }
+
+    load();
+
+    return { create, touch, checkCsrf, revoke, revokeUser, prune };
+}
+
+module.exports = { createSessionStore, IDLE_TIMEOUT, MAX_AGE };
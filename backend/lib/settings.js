@@ -0,0 +1,279 @@
+/**
+ * Site settings
+ * A declared schema (types, lengths, known stations) that every save is checked
+ * against - unknown keys are rejected - and a numbered revision per save with
+ * its author and time, so any earlier version can be compared and restored.
+ */
+
+const fs = require('fs');
+
+const MAX_REVISIONS = 100; // Oldest revisions beyond this are dropped
+const THRESHOLD_TYPES = ['snow', 'precip', 'temp', 'wind'];
+const ASSET_PATTERN = /^(\/uploads\/[\w.-]+|https?:\/\/\S+)?$/;
+
+const DEFAULT_SETTINGS = {
+    siteName: 'NYC SREF Ensemble Plumes',
+    siteDescription: 'SREF ensemble plume diagrams for weather forecasting',
+    favicon: '',
+    ogImage: '',
+    defaultStations: ['JFK', 'LGA', 'EWR'],
+    archiveStations: [], // Stations whose complete runs are archived permanently
+    analyticsScript: '',
+    analyticsEnabled: false,
+    customCss: '',
+    // Probability-of-exceedance thresholds per param type, in native units
+    exceedanceThresholds: {
+        snow: [1, 3, 6, 12],     // in
+        precip: [0.25, 0.5, 1],  // in
+        temp: [32],              // °F
+        wind: [25, 34, 48]       // kts
+    }
+};
+
+/**
+ * Field types:
+ *   string     - maxLength, optional pattern
+ *   boolean
+ *   stations   - array of known station ids (normalized), maxItems
+ *   thresholds - { snow|precip|temp|wind: number[] }, maxItems per type
+ */
+const SETTINGS_SCHEMA = {
+    siteName: { type: 'string', maxLength: 100 },
+    siteDescription: { type: 'string', maxLength: 300 },
+    favicon: { type: 'string', maxLength: 500, pattern: ASSET_PATTERN },
+    ogImage: { type: 'string', maxLength: 500, pattern: ASSET_PATTERN },
+    defaultStations: { type: 'stations', maxItems: 20 },
+    archiveStations: { type: 'stations', maxItems: 50 },
+    analyticsScript: { type: 'string', maxLength: 10000 },
+    analyticsEnabled: { type: 'boolean' },
+    customCss: { type: 'string', maxLength: 50000 },
+    exceedanceThresholds: { type: 'thresholds', maxItems: 10 }
+};
+
+/**
+ * Check settings against the schema
+ * @param {Object} input - Whole settings object or a partial update
+ * @param {function(string): Object|null} getStation - Station registry lookup
+ * @returns {{value: Object, errors: string[]}} value has stations normalized to registry ids
+ */
+function validateSettings(input, getStation) {
+    const errors = [];
+    const value = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { value, errors: ['Settings must be an object'] };
+    }
+
+    for (const [field, raw] of Object.entries(input)) {
+        const rule = SETTINGS_SCHEMA[field];
+        if (!rule) {
+            errors.push(`Unknown setting: ${field}`);
+            continue;
+        }
+
+        if (rule.type === 'string') {
+            if (typeof raw !== 'string') {
+                errors.push(`${field} must be a string`);
+            } else if (raw.length > rule.maxLength) {
+                errors.push(`${field} must be at most ${rule.maxLength} characters`);
+            } else if (rule.pattern && !rule.pattern.test(raw)) {
+                errors.push(`${field} must be an uploaded file or an http(s) URL`);
+            } else {
+                value[field] = raw;
+            }
+        } else if (rule.type === 'boolean') {
+            if (typeof raw !== 'boolean') {
+                errors.push(`${field} must be true or false`);
+            } else {
+                value[field] = raw;
+            }
+        } else if (rule.type === 'stations') {
+            if (!Array.isArray(raw) || raw.some(id => typeof id !== 'string')) {
+                errors.push(`${field} must be an array of station codes`);
+                continue;
+            }
+            const unknown = raw.filter(id => !getStation(id));
+            if (unknown.length > 0) {
+                errors.push(`Unknown stations in ${field}: ${unknown.join(', ')}`);
+                continue;
+            }
+            const ids = [...new Set(raw.map(id => getStation(id).id))];
+            if (ids.length > rule.maxItems) {
+                errors.push(`${field} can list at most ${rule.maxItems} stations`);
+            } else {
+                value[field] = ids;
+            }
+        } else if (rule.type === 'thresholds') {
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                errors.push(`${field} must map param types to arrays of numbers`);
+                continue;
+            }
+            const problems = Object.entries(raw).filter(([type, list]) => !THRESHOLD_TYPES.includes(type) ||
+                !Array.isArray(list) || list.length > rule.maxItems ||
+                list.some(t => typeof t !== 'number' || !Number.isFinite(t)));
+            if (problems.length > 0) {
+                errors.push(`${field} must map ${THRESHOLD_TYPES.join('/')} to at most ${rule.maxItems} numbers each`);
+            } else {
+                value[field] = raw;
+            }
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * Fields whose values differ between two settings objects
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+function diffSettings(before, after) {
+    return Object.keys(SETTINGS_SCHEMA)
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - Current settings (JSON)
+ * @param {string} options.historyFile - Revisions (JSON)
+ * @param {function(string): Object|null} options.getStation - Station registry lookup
+ */
+function createSettingsStore(options) {
+    const { file, historyFile, getStation } = options;
+
+    let current = { ...DEFAULT_SETTINGS };
+    let revisions = []; // { revision, author, savedAt, settings, restoredFrom? }, oldest first
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                // Drop keys the schema no longer knows (older versions stored anything posted)
+                const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+                const known = Object.fromEntries(Object.entries(stored).filter(([field]) => SETTINGS_SCHEMA[field]));
+                current = { ...DEFAULT_SETTINGS, ...known };
+            }
+        } catch (err) {
+            console.error('[SETTINGS] Failed to load settings:', err.message);
+        }
+        try {
+            if (fs.existsSync(historyFile)) {
+                revisions = JSON.parse(fs.readFileSync(historyFile, 'utf8')).revisions || [];
+            }
+        } catch (err) {
+            console.error('[SETTINGS] Failed to load settings history:', err.message);
+        }
+    }
+
+    function writeJson(target, data) {
+        fs.writeFileSync(`${target}.tmp`, JSON.stringify(data, null, 2));
+        fs.renameSync(`${target}.tmp`, target);
+    }
+
+    function fail(status, message) {
+        const err = new Error(message);
+        err.status = status;
+        throw err;
+    }
+
+    function get() {
+        return structuredClone(current);
+    }
+
+    /**
+     * Validate an update without saving it
+     * @returns {Object} The full settings it would produce
+     * @throws {Error} status 400 listing every problem
+     */
+    function preview(changes) {
+        const { value, errors } = validateSettings(changes, getStation);
+        if (errors.length > 0) fail(400, errors.join('; '));
+        return { ...current, ...value };
+    }
+
+    function commit(settings, author, extra = {}) {
+        // The settings from before history was kept become revision 1
+        if (revisions.length === 0) {
+            revisions.push({ revision: 1, author: null, savedAt: new Date().toISOString(), settings: current });
+        }
+        const entry = {
+            revision: revisions[revisions.length - 1].revision + 1,
+            author,
+            savedAt: new Date().toISOString(),
+            settings,
+            ...extra
+        };
+
+        writeJson(file, settings);
+        revisions.push(entry);
+        revisions = revisions.slice(-MAX_REVISIONS);
+        writeJson(historyFile, { revisions });
+        current = settings;
+        return entry;
+    }
+
+    /**
+     * Apply a (partial) update as a new revision
+     * @returns {{settings: Object, revision: number}}
+     */
+    function save(changes, author) {
+        const settings = preview(changes);
+        const entry = commit(settings, author);
+        return { settings: get(), revision: entry.revision };
+    }
+
+    /**
+     * Revisions newest first, with the fields each changed
+     */
+    function history() {
+        return revisions.map((entry, index) => ({
+            revision: entry.revision,
+            author: entry.author,
+            savedAt: entry.savedAt,
+            restoredFrom: entry.restoredFrom,
+            changed: index === 0 ? [] : diffSettings(revisions[index - 1].settings, entry.settings).map(d => d.field)
+        })).reverse();
+    }
+
+    function getRevision(revision) {
+        const entry = revisions.find(r => r.revision === Number(revision));
+        return entry ? structuredClone(entry) : null;
+    }
+
+    /**
+     * Differences between a revision and another one (or the current settings)
+     * @returns {Array<{field, from, to}>|null} from = revision, to = other
+     */
+    function diff(revision, against = null) {
+        const entry = getRevision(revision);
+        if (!entry) return null;
+        const other = against === null ? { settings: current } : getRevision(against);
+        if (!other) return null;
+        return diffSettings({ ...DEFAULT_SETTINGS, ...entry.settings }, { ...DEFAULT_SETTINGS, ...other.settings });
+    }
+
+    /**
+     * Settings a restore would produce, re-validated in case stations or limits changed since
+     */
+    function previewRestore(revision) {
+        const entry = getRevision(revision);
+        if (!entry) return null;
+        return preview({ ...DEFAULT_SETTINGS, ...entry.settings });
+    }
+
+    /**
+     * Save an earlier revision's settings as a new revision
+     * @returns {{settings: Object, revision: number}|null}
+     */
+    function restore(revision, author) {
+        const settings = previewRestore(revision);
+        if (!settings) return null;
+        const entry = commit(settings, author, { restoredFrom: Number(revision) });
+        return { settings: get(), revision: entry.revision };
+    }
+
+    load();
+
+    return { get, preview, save, history, getRevision, diff, previewRestore, restore };
+}
+
+module.exports = { createSettingsStore, validateSettings, diffSettings, DEFAULT_SETTINGS, SETTINGS_SCHEMA };
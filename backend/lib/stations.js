@@ -0,0 +1,90 @@
+/**
+ * Station registry
+ * SREF plume sites the viewer supports, keyed by NOAA's 3-letter station id
+ */
+
+const STATIONS = [
+    // Northeast
+    { id: 'JFK', name: 'John F. Kennedy Intl', city: 'New York, NY', lat: 40.64, lon: -73.78, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'LGA', name: 'LaGuardia', city: 'New York, NY', lat: 40.78, lon: -73.87, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'EWR', name: 'Newark Liberty Intl', city: 'Newark, NJ', lat: 40.69, lon: -74.17, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'ISP', name: 'Long Island MacArthur', city: 'Islip, NY', lat: 40.79, lon: -73.10, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'HPN', name: 'Westchester County', city: 'White Plains, NY', lat: 41.07, lon: -73.71, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'SWF', name: 'Stewart Intl', city: 'Newburgh, NY', lat: 41.50, lon: -74.10, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'ALB', name: 'Albany Intl', city: 'Albany, NY', lat: 42.75, lon: -73.80, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'SYR', name: 'Syracuse Hancock Intl', city: 'Syracuse, NY', lat: 43.11, lon: -76.11, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'ROC', name: 'Greater Rochester Intl', city: 'Rochester, NY', lat: 43.12, lon: -77.67, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'BUF', name: 'Buffalo Niagara Intl', city: 'Buffalo, NY', lat: 42.94, lon: -78.74, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'BDL', name: 'Bradley Intl', city: 'Windsor Locks, CT', lat: 41.94, lon: -72.68, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'BDR', name: 'Sikorsky Memorial', city: 'Bridgeport, CT', lat: 41.16, lon: -73.13, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'PVD', name: 'T. F. Green Intl', city: 'Providence, RI', lat: 41.72, lon: -71.43, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'BOS', name: 'Boston Logan Intl', city: 'Boston, MA', lat: 42.36, lon: -71.01, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'ORH', name: 'Worcester Regional', city: 'Worcester, MA', lat: 42.27, lon: -71.88, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'PWM', name: 'Portland Intl Jetport', city: 'Portland, ME', lat: 43.65, lon: -70.31, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'BTV', name: 'Burlington Intl', city: 'Burlington, VT', lat: 44.47, lon: -73.15, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'ABE', name: 'Lehigh Valley Intl', city: 'Allentown, PA', lat: 40.65, lon: -75.44, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'AVP', name: 'Wilkes-Barre/Scranton Intl', city: 'Avoca, PA', lat: 41.34, lon: -75.72, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'ACY', name: 'Atlantic City Intl', city: 'Atlantic City, NJ', lat: 39.46, lon: -74.58, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'TTN', name: 'Trenton-Mercer', city: 'Trenton, NJ', lat: 40.28, lon: -74.81, timeZone: 'America/New_York', region: 'Northeast' },
+    { id: 'PHL', name: 'Philadelphia Intl', city: 'Philadelphia, PA', lat: 39.87, lon: -75.24, timeZone: 'America/New_York', region: 'Northeast' },
+
+    // Mid-Atlantic
+    { id: 'BWI', name: 'Baltimore/Washington Intl', city: 'Baltimore, MD', lat: 39.18, lon: -76.67, timeZone: 'America/New_York', region: 'Mid-Atlantic' },
+    { id: 'DCA', name: 'Reagan National', city: 'Washington, DC', lat: 38.85, lon: -77.04, timeZone: 'America/New_York', region: 'Mid-Atlantic' },
+    { id: 'IAD', name: 'Washington Dulles Intl', city: 'Dulles, VA', lat: 38.95, lon: -77.46, timeZone: 'America/New_York', region: 'Mid-Atlantic' },
+    { id: 'RIC', name: 'Richmond Intl', city: 'Richmond, VA', lat: 37.51, lon: -77.32, timeZone: 'America/New_York', region: 'Mid-Atlantic' },
+    { id: 'ORF', name: 'Norfolk Intl', city: 'Norfolk, VA', lat: 36.89, lon: -76.20, timeZone: 'America/New_York', region: 'Mid-Atlantic' },
+    { id: 'PIT', name: 'Pittsburgh Intl', city: 'Pittsburgh, PA', lat: 40.49, lon: -80.23, timeZone: 'America/New_York', region: 'Mid-Atlantic' },
+
+    // Midwest
+    { id: 'CLE', name: 'Cleveland Hopkins Intl', city: 'Cleveland, OH', lat: 41.41, lon: -81.85, timeZone: 'America/New_York', region: 'Midwest' },
+    { id: 'DTW', name: 'Detroit Metro Wayne County', city: 'Detroit, MI', lat: 42.21, lon: -83.35, timeZone: 'America/Detroit', region: 'Midwest' },
+    { id: 'ORD', name: "Chicago O'Hare Intl", city: 'Chicago, IL', lat: 41.98, lon: -87.90, timeZone: 'America/Chicago', region: 'Midwest' },
+    { id: 'MSP', name: 'Minneapolis-St. Paul Intl', city: 'Minneapolis, MN', lat: 44.88, lon: -93.22, timeZone: 'America/Chicago', region: 'Midwest' },
+
+    // South
+    { id: 'ATL', name: 'Hartsfield-Jackson Atlanta Intl', city: 'Atlanta, GA', lat: 33.64, lon: -84.43, timeZone: 'America/New_York', region: 'South' },
+    { id: 'DFW', name: 'Dallas/Fort Worth Intl', city: 'Dallas, TX', lat: 32.90, lon: -97.04, timeZone: 'America/Chicago', region: 'South' },
+
+    // West
+    { id: 'DEN', name: 'Denver Intl', city: 'Denver, CO', lat: 39.86, lon: -104.67, timeZone: 'America/Denver', region: 'West' },
+    { id: 'SFO', name: 'San Francisco Intl', city: 'San Francisco, CA', lat: 37.62, lon: -122.38, timeZone: 'America/Los_Angeles', region: 'West' },
+    { id: 'LAX', name: 'Los Angeles Intl', city: 'Los Angeles, CA', lat: 33.94, lon: -118.41, timeZone: 'America/Los_Angeles', region: 'West' },
+    { id: 'SEA', name: 'Seattle-Tacoma Intl', city: 'Seattle, WA', lat: 47.45, lon: -122.31, timeZone: 'America/Los_Angeles', region: 'West' }
+];
+
+const STATIONS_BY_ID = new Map(STATIONS.map(s => [s.id, s]));
+
+/**
+ * Look up a station by id, case-insensitively
+ * Accepts the ICAO form too (KJFK -> JFK)
+ * @returns {Object|null} Station metadata
+ */
+function getStation(id) {
+    if (typeof id !== 'string') return null;
+    const upper = id.trim().toUpperCase();
+    if (STATIONS_BY_ID.has(upper)) return STATIONS_BY_ID.get(upper);
+    if (upper.length === 4 && upper.startsWith('K')) {
+        return STATIONS_BY_ID.get(upper.slice(1)) || null;
+    }
+    return null;
+}
+
+/**
+ * Suggest stations whose id, name or city resembles the input
+ * @returns {string[]} Up to `limit` station ids
+ */
+function suggestStations(input, limit = 5) {
+    const query = String(input || '').trim().toUpperCase();
+    if (!query) return [];
+
+    const stripped = query.length === 4 && query.startsWith('K') ? query.slice(1) : query;
+    return STATIONS
+        .filter(s => s.id.startsWith(stripped.slice(0, 2)) ||
+            s.name.toUpperCase().includes(query) ||
+            s.city.toUpperCase().includes(query))
+        .slice(0, limit)
+        .map(s => s.id);
+}
+
+module.exports = { STATIONS, getStation, suggestStations };
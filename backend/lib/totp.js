@@ -0,0 +1,122 @@
+/**
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 s steps),
+ * the defaults every authenticator app supports, plus recovery codes.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const WINDOW = 1; // Steps of clock drift accepted either side
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+}
+
+function base32Decode(string) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of string.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error(`Invalid base32 character: ${char}`);
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * New random secret, base32 as authenticator apps expect
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Code for one time step (RFC 4226 HOTP with the step as counter)
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0F;
+    const binary = hmac.readUInt32BE(offset) & 0x7FFFFFFF;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the current step and WINDOW steps either side
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {number} [lastStep] - Step of the last accepted code; it and earlier steps are rejected (no replay)
+ * @returns {number|null} The matching step
+ */
+function verifyCode(secret, code, lastStep = -1) {
+    const wanted = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(wanted)) return null;
+
+    const now = currentStep();
+    for (let step = now - WINDOW; step <= now + WINDOW; step++) {
+        if (step <= lastStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(wanted))) return step;
+    }
+    return null;
+}
+
+/**
+ * otpauth:// URI for enrollment (authenticator apps open it or scan it as a QR code)
+ */
+function otpauthUri(secret, account, issuer) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: STEP_SECONDS });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Single-use recovery codes like "k3f9-x2md-7qpa"
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+    return Array.from({ length: count }, () =>
+        base32Encode(crypto.randomBytes(8)).toLowerCase().slice(0, 12).match(/.{4}/g).join('-'));
+}
+
+// Recovery codes are random, so a plain hash is enough to store them
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    otpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+};
@@ -0,0 +1,225 @@
+/**
+ * Upstream data sources for SREF plume data
+ * Every adapter exposes fetch(station, run, param, date) resolving to the raw
+ * plume JSON ({ member: { data: [[time, value], ...] } }) and rejecting with the
+ * same error messages, so fetchWithRetry treats them identically.
+ */
+
+const https = require('https');
+const path = require('path');
+const fs = require('fs');
+
+const REQUEST_TIMEOUT = 15000;
+
+// What may go into NOAA URLs and fixture paths
+const REQUEST_PATTERNS = {
+    station: /^[A-Z0-9]{3,4}$/,
+    run: /^\d{2}$/,
+    param: /^[A-Za-z0-9-]+$/,
+    date: /^\d{4}-\d{2}-\d{2}$/
+};
+
+/**
+ * Reject malformed request fields, so a date like "../x" can't escape the
+ * fixture directory and "20261019" can't alias "2026-10-19"
+ */
+function checkRequest(station, run, param, date) {
+    for (const [field, value] of Object.entries({ station, run, param, date })) {
+        if (typeof value !== 'string' || !REQUEST_PATTERNS[field].test(value)) {
+            throw new Error(`Invalid ${field}: ${value}`);
+        }
+    }
+}
+
+/**
+ * Parse a plume response body - NOAA sometimes double-encodes the JSON
+ */
+function parsePlumeBody(body) {
+    try {
+        return JSON.parse(JSON.parse(body));
+    } catch {
+        return JSON.parse(body);
+    }
+}
+
+/**
+ * Fixture file path for a station/run/param, using NOAA's search addressing
+ * e.g. <dir>/20251213_21/JFK-21-Total-SNO.json
+ */
+function getFixturePath(dir, station, run, param, date) {
+    checkRequest(station, run, param, date);
+    const ymd = date.replace(/-/g, '');
+    return path.join(dir, `${ymd}_${run}`, `${station}-${run}-${param}.json`);
+}
+
+/**
+ * Live adapter - fetches from www.spc.noaa.gov
+ * @param {Object} options
+ * @param {string} [options.recordDir] - Save every response as a fixture file
+ */
+function createHttpsAdapter(options = {}) {
+    const { recordDir } = options;
+
+    function record(station, run, param, date, body) {
+        const filePath = getFixturePath(recordDir, station, run, param, date);
+        fs.mkdir(path.dirname(filePath), { recursive: true }, (mkdirErr) => {
+            if (mkdirErr) return console.error('[UPSTREAM] Record error:', mkdirErr.message);
+            fs.writeFile(filePath, body, (err) => {
+                if (err) console.error('[UPSTREAM] Record error:', err.message);
+            });
+        });
+    }
+
+    function fetch(station, run, param, date) {
+        return new Promise((resolve, reject) => {
+            checkRequest(station, run, param, date);
+            const ymd = date.replace(/-/g, '');
+            const reqPath = `/exper/sref/srefplumes/returndata.php?` +
+                `search=${station}-${run}-${param}` +
+                `&file=json_sid/${ymd}_${run}/${station}` +
+                `&mem=:&means=`;
+
+            const requestOptions = {
+                hostname: 'www.spc.noaa.gov',
+                port: 443,
+                path: reqPath,
+                method: 'GET',
+                headers: {
+                    'User-Agent': 'SREF-Viewer/1.0 (Personal Weather Tool)',
+                    'Accept': 'application/json'
+                }
+            };
+
+            const req = https.request(requestOptions, (res) => {
+                let data = '';
+                res.on('data', chunk => { data += chunk; });
+                res.on('end', () => {
+                    if (res.statusCode !== 200) {
+                        reject(new Error(`NOAA returned ${res.statusCode}`));
+                        return;
+                    }
+                    try {
+                        const parsed = parsePlumeBody(data);
+                        if (recordDir) record(station, run, param, date, data);
+                        resolve(parsed);
+                    } catch (e) {
+                        reject(new Error('Failed to parse NOAA response'));
+                    }
+                });
+            });
+
+            req.on('error', reject);
+            req.setTimeout(REQUEST_TIMEOUT, () => {
+                req.destroy();
+                reject(new Error('Request timeout'));
+            });
+            req.end();
+        });
+    }
+
+    return { name: 'https', fetch };
+}
+
+/**
+ * Offline stand-in for NOAA - serves recorded plume files from a directory
+ * Looks for <dir>/<YYYYMMDD>_<run>/<STATION>-<run>-<param>.json, falling back to
+ * <dir>/<STATION>-<run>-<param>.json so one recorded storm can answer any date.
+ * @param {Object} options
+ * @param {string} options.dir - Fixture directory
+ * @param {string} [options.simulate] - 'timeout', '5xx' or 'partial'
+ * @param {number} [options.rate] - Fraction of requests affected by simulate (0-1)
+ * @param {number} [options.timeout] - How long a simulated timeout hangs before rejecting, in ms
+ * @param {number} [options.latency] - Delay before every response, in ms
+ * @param {number} [options.partialMembers] - Members kept when simulating 'partial'
+ */
+function createFixtureAdapter(options = {}) {
+    const {
+        dir,
+        simulate = null,
+        rate = 1,
+        timeout = REQUEST_TIMEOUT,
+        latency = 0,
+        partialMembers = 6
+    } = options;
+
+    if (!dir) {
+        throw new Error('Fixture adapter requires a directory');
+    }
+    if (simulate && !['timeout', '5xx', 'partial'].includes(simulate)) {
+        throw new Error(`Unknown fixture simulation: ${simulate}`);
+    }
+    // NaN would make every Math.random() < rate false and quietly turn simulation off
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate > 1) {
+        throw new Error(`Fixture simulation rate must be between 0 and 1: ${rate}`);
+    }
+
+    function readFixture(station, run, param, date) {
+        const candidates = [
+            getFixturePath(dir, station, run, param, date),
+            path.join(dir, `${station}-${run}-${param}.json`)
+        ];
+        for (const filePath of candidates) {
+            if (fs.existsSync(filePath)) {
+                return fs.promises.readFile(filePath, 'utf8');
+            }
+        }
+        return null;
+    }
+
+    async function fetch(station, run, param, date) {
+        checkRequest(station, run, param, date);
+        if (latency > 0) {
+            await new Promise(r => setTimeout(r, latency));
+        }
+
+        const affected = simulate && Math.random() < rate;
+        if (affected && simulate === 'timeout') {
+            // Hang like a real request would, so client timeouts, coalescing and retries see real timing
+            await new Promise(r => setTimeout(r, timeout));
+            throw new Error('Request timeout');
+        }
+        if (affected && simulate === '5xx') {
+            throw new Error('NOAA returned 503');
+        }
+
+        const body = await readFixture(station, run, param, date);
+        if (body === null) {
+            throw new Error('NOAA returned 404');
+        }
+
+        let parsed;
+        try {
+            parsed = parsePlumeBody(body);
+        } catch {
+            throw new Error('Failed to parse NOAA response');
+        }
+
+        if (affected && simulate === 'partial') {
+            const kept = Object.entries(parsed).slice(0, partialMembers);
+            return Object.fromEntries(kept);
+        }
+        return parsed;
+    }
+
+    return { name: 'fixture', fetch };
+}
+
+const ADAPTERS = {
+    https: createHttpsAdapter,
+    fixture: createFixtureAdapter
+};
+
+/**
+ * Create the configured upstream adapter
+ * @param {string} name - Adapter name ('https' or 'fixture')
+ * @param {Object} options - Adapter-specific options
+ */
+function createUpstream(name, options = {}) {
+    const factory = ADAPTERS[name];
+    if (!factory) {
+        throw new Error(`Unknown upstream adapter: ${name} (expected ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return factory(options);
+}
+
+module.exports = { createUpstream, parsePlumeBody, getFixturePath, checkRequest };
@@ -0,0 +1,306 @@
+/**
+ * Admin user accounts
+ * Users live in a JSON file with salted scrypt password hashes. Roles, lowest first:
+ *   editor - site branding (name, description, favicon, OG image, custom CSS)
+ *   admin  - everything, including cache, alerts, observations and users
+ * Users may add a TOTP second factor (see totp.js) with hashed single-use recovery codes.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const totp = require('./totp');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['editor', 'admin'];
+const USERNAME_PATTERN = /^[a-z0-9_.-]{2,32}$/i;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password as "scrypt$N$r$p$salt$hash" (salt and hash base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt') return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length,
+        { N: Number(N), r: Number(r), p: Number(p) });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * True when a user's role includes everything `role` may do
+ */
+function hasRole(user, role) {
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.file - JSON file holding the users
+ */
+function createUserStore(options) {
+    const { file } = options;
+
+    let users = [];
+    // Compared against when the username is unknown, so timing doesn't reveal which usernames exist
+    let dummyHash = null;
+
+    function load() {
+        try {
+            if (fs.existsSync(file)) {
+                users = JSON.parse(fs.readFileSync(file, 'utf8')).users || [];
+            }
+        } catch (err) {
+            console.error('[USERS] Failed to load users:', err.message);
+        }
+    }
+
+    function save() {
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+        fs.renameSync(`${file}.tmp`, file);
+    }
+
+    function fail(status, message) {
+        const err = new Error(message);
+        err.status = status;
+        throw err;
+    }
+
+    function validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            fail(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+        }
+    }
+
+    // Public view - never includes the hash or TOTP secrets
+    function describe(user) {
+        const { passwordHash, totp: factor, totpPending, ...rest } = user;
+        return {
+            ...rest,
+            totpEnabled: Boolean(factor),
+            recoveryCodesLeft: factor ? factor.recoveryCodes.length : 0
+        };
+    }
+
+    function find(username) {
+        const wanted = String(username || '').toLowerCase();
+        return users.find(u => u.username.toLowerCase() === wanted) || null;
+    }
+
+    function list() {
+        return users.map(describe);
+    }
+
+    function get(username) {
+        const user = find(username);
+        return user ? describe(user) : null;
+    }
+
+    function activeAdmins() {
+        return users.filter(u => u.role === 'admin' && !u.disabled);
+    }
+
+    async function create({ username, password, role = 'editor' }) {
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            fail(400, 'Username must be 2-32 letters, digits, dots, dashes or underscores');
+        }
+        if (!ROLES.includes(role)) fail(400, `role must be one of: ${ROLES.join(', ')}`);
+        validatePassword(password);
+        if (find(username)) fail(409, `User ${username} already exists`);
+
+        const passwordHash = await hashPassword(password);
+        // Check again - a concurrent create may have added the name while hashing
+        if (find(username)) fail(409, `User ${username} already exists`);
+
+        const now = new Date().toISOString();
+        const user = {
+            username,
+            role,
+            disabled: false,
+            passwordHash,
+            createdAt: now,
+            updatedAt: now
+        };
+        users.push(user);
+        save();
+        return describe(user);
+    }
+
+    /**
+     * Change a user's role or disabled flag
+     * Refuses to leave the store without an active admin
+     */
+    function update(username, changes) {
+        const user = find(username);
+        if (!user) return null;
+
+        const role = changes.role ?? user.role;
+        const disabled = changes.disabled ?? user.disabled;
+        if (!ROLES.includes(role)) fail(400, `role must be one of: ${ROLES.join(', ')}`);
+        if (typeof disabled !== 'boolean') fail(400, 'disabled must be true or false');
+
+        const losesAdmin = user.role === 'admin' && !user.disabled && (role !== 'admin' || disabled);
+        if (losesAdmin && activeAdmins().length === 1) {
+            fail(400, 'At least one active admin is required');
+        }
+
+        Object.assign(user, { role, disabled, updatedAt: new Date().toISOString() });
+        save();
+        return describe(user);
+    }
+
+    async function resetPassword(username, password) {
+        const user = find(username);
+        if (!user) return null;
+        validatePassword(password);
+        user.passwordHash = await hashPassword(password);
+        user.updatedAt = new Date().toISOString();
+        save();
+        return describe(user);
+    }
+
+    /**
+     * Check a login
+     * @returns {Promise<Object|null>} The user, or null for a wrong password, unknown or disabled user
+     */
+    async function verify(username, password) {
+        const user = find(username);
+        if (typeof password !== 'string') return null;
+        if (!user) {
+            dummyHash = dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+            await verifyPassword(password, dummyHash);
+            return null;
+        }
+        const ok = await verifyPassword(password, user.passwordHash);
+        return ok && !user.disabled ? describe(user) : null;
+    }
+
+    /**
+     * Start TOTP enrollment with a new secret; takes effect once confirmed with enableTotp()
+     * @returns {{secret: string, uri: string}|null}
+     */
+    function startTotp(username, issuer) {
+        const user = find(username);
+        if (!user) return null;
+        user.totpPending = totp.generateSecret();
+        save();
+        return { secret: user.totpPending, uri: totp.otpauthUri(user.totpPending, user.username, issuer) };
+    }
+
+    function issueRecoveryCodes(user) {
+        const codes = totp.generateRecoveryCodes();
+        user.totp.recoveryCodes = codes.map(totp.hashRecoveryCode);
+        return codes;
+    }
+
+    /**
+     * Confirm enrollment with a code from the app
+     * @returns {string[]} Recovery codes, shown once
+     */
+    function enableTotp(username, code) {
+        const user = find(username);
+        if (!user) fail(404, 'User not found');
+        if (!user.totpPending) fail(400, 'Start two-factor setup first');
+        const step = totp.verifyCode(user.totpPending, code);
+        if (step === null) fail(400, 'Invalid code - check the time on your device');
+
+        user.totp = { secret: user.totpPending, lastStep: step, recoveryCodes: [] };
+        delete user.totpPending;
+        const codes = issueRecoveryCodes(user);
+        user.updatedAt = new Date().toISOString();
+        save();
+        return codes;
+    }
+
+    /**
+     * Check a second factor: a TOTP code (each accepted once) or a recovery code (consumed)
+     * @returns {{method: 'totp'|'recovery', recoveryCodesLeft: number}|null}
+     */
+    function verifySecondFactor(username, code) {
+        const user = find(username);
+        if (!user?.totp) return null;
+
+        const step = totp.verifyCode(user.totp.secret, code, user.totp.lastStep);
+        if (step !== null) {
+            user.totp.lastStep = step;
+            save();
+            return { method: 'totp', recoveryCodesLeft: user.totp.recoveryCodes.length };
+        }
+
+        const index = user.totp.recoveryCodes.indexOf(totp.hashRecoveryCode(code));
+        if (index === -1) return null;
+        user.totp.recoveryCodes.splice(index, 1);
+        save();
+        return { method: 'recovery', recoveryCodesLeft: user.totp.recoveryCodes.length };
+    }
+
+    /**
+     * @returns {string[]|null} New recovery codes (the old ones stop working)
+     */
+    function regenerateRecoveryCodes(username) {
+        const user = find(username);
+        if (!user?.totp) return null;
+        const codes = issueRecoveryCodes(user);
+        save();
+        return codes;
+    }
+
+    function disableTotp(username) {
+        const user = find(username);
+        if (!user) return null;
+        delete user.totp;
+        delete user.totpPending;
+        user.updatedAt = new Date().toISOString();
+        save();
+        return describe(user);
+    }
+
+    /**
+     * Create the first admin when the store is empty (from ADMIN_USERNAME / ADMIN_PASSWORD)
+     * @returns {Promise<boolean>} Whether an account was created
+     */
+    async function bootstrap(username, password) {
+        if (users.length > 0) return false;
+        const now = new Date().toISOString();
+        users.push({
+            username,
+            role: 'admin',
+            disabled: false,
+            passwordHash: await hashPassword(password),
+            createdAt: now,
+            updatedAt: now
+        });
+        save();
+        return true;
+    }
+
+    load();
+
+    return {
+        list,
+        get,
+        create,
+        update,
+        resetPassword,
+        verify,
+        bootstrap,
+        startTotp,
+        enableTotp,
+        verifySecondFactor,
+        regenerateRecoveryCodes,
+        disableTotp
+    };
+}
+
+module.exports = { createUserStore, hasRole, ROLES };
@@ -0,0 +1,165 @@
+/**
+ * Forecast verification - scores archived SREF runs against observations
+ * Every member, each core and the Mean get MAE, bias (forecast - observed)
+ * and CRPS, overall and per lead time. A single member's CRPS is its absolute
+ * error; for the cores and the Mean, CRPS scores the members as an ensemble.
+ */
+
+const { OBSERVATION_FIELDS } = require('./observations');
+
+const HOUR = 60 * 60 * 1000;
+
+// NOAA labels ARW members AR*, NMB members MB*
+function getMemberCore(label) {
+    if (label.startsWith('AR')) return 'ARW';
+    if (label.startsWith('MB')) return 'NMB';
+    return null;
+}
+
+function fieldFor(param) {
+    return Object.keys(OBSERVATION_FIELDS).find(field => OBSERVATION_FIELDS[field] === param);
+}
+
+/**
+ * Observed values matching a run's forecast times
+ * Totals accumulate from the run's init time: either the difference of the
+ * observed running total, or the sum of 3-hour amounts when every one is present.
+ * @param {string} param - SREF param
+ * @param {Object} fields - Station observations (field -> Map(time -> value))
+ * @param {number[]} times - Forecast times (epoch ms), ascending
+ * @param {number} initTime - Run init time (epoch ms)
+ * @returns {Map<number, number>} time -> observed value
+ */
+function observedForRun(param, fields, times, initTime) {
+    const observed = new Map();
+    const field = fieldFor(param);
+
+    if (!param.startsWith('Total-')) {
+        const series = fields[field];
+        if (!series) return observed;
+        for (const t of times) {
+            if (series.has(t)) observed.set(t, series.get(t));
+        }
+        return observed;
+    }
+
+    const total = fields[field];
+    const threeHourly = fields[field.replace('_total', '_3h')];
+    let sum = 0;
+    let complete = true;
+    for (const t of times) {
+        if (t <= initTime) continue;
+        if (threeHourly?.has(t) && complete) {
+            sum += threeHourly.get(t);
+        } else {
+            complete = false;
+        }
+        if (total?.has(t) && total.has(initTime)) {
+            observed.set(t, total.get(t) - total.get(initTime));
+        } else if (complete) {
+            observed.set(t, sum);
+        }
+    }
+    return observed;
+}
+
+/**
+ * Continuous ranked probability score of an ensemble for one observation
+ * Uses the kernel form: mean|x - y| - (1 / 2m²) ΣΣ|xi - xj|
+ */
+function crps(values, observed) {
+    const m = values.length;
+    const sorted = [...values].sort((a, b) => a - b);
+    let spread = 0;
+    sorted.forEach((x, i) => {
+        spread += (2 * i - m + 1) * x;
+    });
+    const error = sorted.reduce((sum, x) => sum + Math.abs(x - observed), 0) / m;
+    return error - spread / (m * m);
+}
+
+/**
+ * Running sums of errors per forecaster and lead time
+ */
+function createScoreboard() {
+    // name -> { overall: sums, byLead: Map(lead -> sums) }
+    const rows = new Map();
+
+    function emptySums() {
+        return { absError: 0, error: 0, crps: 0, n: 0 };
+    }
+
+    function add(name, lead, forecast, observed, crpsValue) {
+        if (!rows.has(name)) rows.set(name, { overall: emptySums(), byLead: new Map() });
+        const row = rows.get(name);
+        if (!row.byLead.has(lead)) row.byLead.set(lead, emptySums());
+        for (const sums of [row.overall, row.byLead.get(lead)]) {
+            sums.absError += Math.abs(forecast - observed);
+            sums.error += forecast - observed;
+            sums.crps += crpsValue;
+            sums.n++;
+        }
+    }
+
+    function average({ absError, error, crps: crpsSum, n }) {
+        return { mae: absError / n, bias: error / n, crps: crpsSum / n, n };
+    }
+
+    function result() {
+        const leadTimes = [...new Set([...rows.values()].flatMap(r => [...r.byLead.keys()]))]
+            .sort((a, b) => a - b);
+        const scores = [...rows].map(([name, row]) => ({
+            name,
+            kind: name === 'Mean' ? 'mean' : (name === 'ARW' || name === 'NMB' ? 'core' : 'member'),
+            overall: average(row.overall),
+            byLead: Object.fromEntries([...row.byLead]
+                .sort((a, b) => a[0] - b[0])
+                .map(([lead, sums]) => [lead, average(sums)]))
+        }));
+        return { leadTimes, scores };
+    }
+
+    return { add, result };
+}
+
+/**
+ * Score one run's forecasts into a scoreboard
+ * @param {Object} scoreboard - From createScoreboard()
+ * @param {Object} data - Processed ensemble data (member -> [{x, y}], plus Mean)
+ * @param {Map<number, number>} observed - time -> observed value
+ * @param {number} initTime - Run init time (epoch ms)
+ * @returns {number} Forecast times that had an observation
+ */
+function scoreRun(scoreboard, data, observed, initTime) {
+    const members = Object.keys(data).filter(label => label !== 'Mean');
+    const valueAt = new Map(Object.entries(data).map(([label, points]) =>
+        [label, new Map(points.map(p => [p.x, p.y]))]));
+
+    let verified = 0;
+    for (const [time, obs] of observed) {
+        const lead = Math.round((time - initTime) / HOUR);
+        const byCore = { ARW: [], NMB: [] };
+        const all = [];
+
+        for (const label of members) {
+            const value = valueAt.get(label).get(time);
+            if (value === undefined) continue;
+            scoreboard.add(label, lead, value, obs, Math.abs(value - obs));
+            byCore[getMemberCore(label)]?.push(value);
+            all.push(value);
+        }
+        if (all.length === 0) continue;
+
+        for (const [core, values] of Object.entries(byCore)) {
+            if (values.length === 0) continue;
+            const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+            scoreboard.add(core, lead, mean, obs, crps(values, obs));
+        }
+        const mean = valueAt.get('Mean')?.get(time) ?? all.reduce((sum, v) => sum + v, 0) / all.length;
+        scoreboard.add('Mean', lead, mean, obs, crps(all, obs));
+        verified++;
+    }
+    return verified;
+}
+
+module.exports = { createScoreboard, scoreRun, observedForRun, crps, getMemberCore };
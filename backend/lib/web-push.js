@@ -0,0 +1,198 @@
+/**
+ * Web Push sender
+ * VAPID authentication (RFC 8292) and aes128gcm payload encryption (RFC 8291)
+ * on Node's crypto module - no push library needed.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+
+const PUSH_TIMEOUT = 10000;
+const RECORD_SIZE = 4096;
+
+// Loopback, private, link-local and other non-public ranges - push services are public hosts.
+// One list per family: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 rules.
+const PRIVATE_IPV4 = new net.BlockList();
+for (const [address, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]]) {
+    PRIVATE_IPV4.addSubnet(address, prefix, 'ipv4');
+}
+const PRIVATE_IPV6 = new net.BlockList();
+for (const [address, prefix] of [['::', 127], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_IPV6.addSubnet(address, prefix, 'ipv6');
+}
+
+function b64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+/**
+ * Generate a VAPID key pair
+ * @returns {{publicKey: string, privateKey: string}} base64url raw P-256 keys
+ */
+function generateVapidKeys() {
+    const ecdh = crypto.createECDH('prime256v1');
+    ecdh.generateKeys();
+    return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+function hkdf(salt, ikm, info, length) {
+    return Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+}
+
+/**
+ * Encrypt a payload for one subscription (single aes128gcm record)
+ * @param {Object} keys - Subscription keys { p256dh, auth }, base64url
+ * @param {Buffer} payload
+ * @returns {Buffer} Request body
+ */
+function encryptPayload(keys, payload) {
+    const uaPublic = Buffer.from(keys.p256dh, 'base64url');
+    const authSecret = Buffer.from(keys.auth, 'base64url');
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const asPublic = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(uaPublic);
+
+    const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+    const ikm = hkdf(authSecret, sharedSecret, keyInfo, 32);
+
+    const salt = crypto.randomBytes(16);
+    const cek = hkdf(salt, ikm, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+    const nonce = hkdf(salt, ikm, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+    // 0x02 marks the last (and only) record
+    const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+    const ciphertext = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(asPublic.length, 20);
+    return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+function isPrivateAddress(address) {
+    return net.isIPv6(address) ? PRIVATE_IPV6.check(address, 'ipv6') : PRIVATE_IPV4.check(address, 'ipv4');
+}
+
+/**
+ * Check a browser PushSubscription before storing it: an https endpoint on a public
+ * host, a p256dh key that is an uncompressed P-256 point and a 16-byte auth secret
+ * @param {Object} subscription - PushSubscription JSON { endpoint, keys: { p256dh, auth } }
+ * @returns {Promise<{endpoint: string, keys: {p256dh: string, auth: string}}>} endpoint normalized
+ * @throws {Error} Describing the first problem
+ */
+async function validateSubscription(subscription) {
+    let url;
+    try {
+        url = new URL(subscription?.endpoint);
+    } catch {
+        throw new Error('Invalid push endpoint');
+    }
+    if (url.protocol !== 'https:') throw new Error('Push endpoint must use https');
+
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    let addresses = [host];
+    if (!net.isIP(host)) {
+        try {
+            addresses = (await dns.lookup(host, { all: true })).map(a => a.address);
+        } catch {
+            throw new Error(`Push endpoint host not found: ${host}`);
+        }
+    }
+    if (addresses.some(isPrivateAddress)) throw new Error('Push endpoint must be a public host');
+
+    const { p256dh, auth } = subscription.keys || {};
+    const uaPublic = typeof p256dh === 'string' ? Buffer.from(p256dh, 'base64url') : Buffer.alloc(0);
+    try {
+        if (uaPublic.length !== 65 || uaPublic[0] !== 0x04) throw new Error('wrong length');
+        const ecdh = crypto.createECDH('prime256v1');
+        ecdh.generateKeys();
+        ecdh.computeSecret(uaPublic); // Throws unless the point is on the curve
+    } catch {
+        throw new Error('keys.p256dh must be an uncompressed P-256 public key');
+    }
+    if (typeof auth !== 'string' || Buffer.from(auth, 'base64url').length !== 16) {
+        throw new Error('keys.auth must be a 16-byte secret');
+    }
+
+    return { endpoint: url.href, keys: { p256dh, auth } };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.publicKey - VAPID public key, base64url
+ * @param {string} options.privateKey - VAPID private key, base64url
+ * @param {string} options.subject - Contact for push services, mailto: or https: URL
+ */
+function createPushSender(options) {
+    const { publicKey, privateKey, subject } = options;
+
+    const rawPublic = Buffer.from(publicKey, 'base64url');
+    const signingKey = crypto.createPrivateKey({
+        key: {
+            kty: 'EC',
+            crv: 'P-256',
+            d: privateKey,
+            x: b64url(rawPublic.subarray(1, 33)),
+            y: b64url(rawPublic.subarray(33, 65))
+        },
+        format: 'jwk'
+    });
+
+    // ES256 JWT for the push service's origin, valid for 12 hours
+    function vapidAuthorization(endpoint) {
+        const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+        const claims = b64url(JSON.stringify({
+            aud: new URL(endpoint).origin,
+            exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+            sub: subject
+        }));
+        const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`),
+            { key: signingKey, dsaEncoding: 'ieee-p1363' });
+        return `vapid t=${header}.${claims}.${b64url(signature)}, k=${publicKey}`;
+    }
+
+    /**
+     * Deliver a JSON payload to a subscription
+     * Rejects with err.gone = true when the push service says the subscription no longer
+     * exists (404/410) or its keys can't be encrypted for
+     * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+     * @returns {Promise<number>} HTTP status
+     */
+    async function send(subscription, payload, ttl = 24 * 60 * 60) {
+        let body;
+        try {
+            body = encryptPayload(subscription.keys, Buffer.from(JSON.stringify(payload)));
+        } catch (cause) {
+            const err = new Error(`Can't encrypt for subscription: ${cause.message}`);
+            err.gone = true;
+            throw err;
+        }
+        const response = await fetch(subscription.endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': vapidAuthorization(subscription.endpoint),
+                'Content-Encoding': 'aes128gcm',
+                'Content-Type': 'application/octet-stream',
+                'TTL': String(ttl),
+                'Urgency': 'high'
+            },
+            body,
+            signal: AbortSignal.timeout(PUSH_TIMEOUT)
+        });
+
+        if (!response.ok) {
+            const err = new Error(`Push service returned ${response.status}`);
+            err.gone = response.status === 404 || response.status === 410;
+            throw err;
+        }
+        return response.status;
+    }
+
+    return { publicKey, send };
+}
+
+module.exports = { createPushSender, generateVapidKeys, encryptPayload, validateSubscription };
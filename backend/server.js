@@ -1,15 +1,39 @@
 const express = require('express');
-const https = require('https');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { createUpstream } = require('./lib/upstream');
+const { STATIONS, getStation, suggestStations } = require('./lib/stations');
+const { createCacheStore } = require('./lib/cache-store');
+const { createRegistry } = require('./lib/metrics');
+const { createArchive } = require('./lib/archive');
+const { createObservationStore, parseObservationsCsv } = require('./lib/observations');
+const { createScoreboard, scoreRun, observedForRun, getMemberCore } = require('./lib/verification');
+const { createAlertStore, describeRule, matchRule } = require('./lib/alerts');
+const { createPushSender, generateVapidKeys, validateSubscription } = require('./lib/web-push');
+const { summarizeRun, formatSummary, renderAtomFeed } = require('./lib/feed');
+const { renderPlumeSvg, PARAM_LABELS } = require('./lib/plume-svg');
+const { renderOgImage, OG_IMAGE_SIZE } = require('./lib/og-image');
+const { createUserStore, hasRole, ROLES } = require('./lib/users');
+const { createSessionStore } = require('./lib/sessions');
+const { createSettingsStore, diffSettings, DEFAULT_SETTINGS } = require('./lib/settings');
+const { createAuditLog } = require('./lib/audit-log');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// nginx sets X-Forwarded-For/-Proto; trust them only from the proxy hop (private or loopback addresses)
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback, uniquelocal';
+app.set('trust proxy', TRUST_PROXY === 'false' ? false : TRUST_PROXY);
+
 // ============ Persistent Cache ============
 const DATA_DIR = path.join(__dirname, 'data');
-const CACHE_FILE = path.join(DATA_DIR, 'cache.json');
-let cache = new Map();
+const CACHE_DIR = path.join(DATA_DIR, 'cache');
+const LEGACY_CACHE_FILE = path.join(DATA_DIR, 'cache.json'); // Pre-cache-store format, migrated on start
+const CACHE_MAX_ENTRIES = 1000;
+const CACHE_MAX_BYTES = (parseInt(process.env.CACHE_MAX_MB, 10) || 200) * 1024 * 1024;
+const CACHE_MEMORY_BYTES = (parseInt(process.env.CACHE_MEMORY_MB, 10) || 50) * 1024 * 1024;
+const CACHE_TTL_DAYS = 14;  // Keep entries for 14 days
 
 // Ensure data directory exists
 try {
@@ -20,25 +44,43 @@ try {
     console.error('[CACHE] Failed to create data dir:', err);
 }
 
-// Load cache from disk on startup
-try {
-    if (fs.existsSync(CACHE_FILE)) {
-        const raw = fs.readFileSync(CACHE_FILE, 'utf8');
-        const json = JSON.parse(raw);
-        const now = Date.now();
-        Object.entries(json).forEach(([key, val]) => {
-            if (val.expiry > now) {
-                cache.set(key, val);
-            }
-        });
-        console.log(`[CACHE] Loaded ${cache.size} items from disk`);
-    }
-} catch (err) {
-    console.error('[CACHE] Failed to load cache from disk:', err);
+// Index entries on disk at startup; data is loaded on first access
+const cache = createCacheStore({
+    dir: CACHE_DIR,
+    ttl: CACHE_TTL_DAYS * 24 * 60 * 60 * 1000,
+    maxEntries: CACHE_MAX_ENTRIES,
+    maxBytes: CACHE_MAX_BYTES,
+    maxLoadedBytes: CACHE_MEMORY_BYTES,
+    legacyFile: LEGACY_CACHE_FILE
+});
+
+// Sweep expired entries hourly
+setInterval(() => cache.evict(), 60 * 60 * 1000).unref();
+
+// ============ Run Archive ============
+// Complete runs for the stations in settings.archiveStations are kept forever,
+// so past storms stay viewable after the cache and NOAA have dropped them
+const ARCHIVE_DIR = path.join(DATA_DIR, 'archive');
+const archive = createArchive({ dir: ARCHIVE_DIR });
+
+function isArchivedStation(station) {
+    return (loadSettings().archiveStations || []).includes(station);
 }
 
 // SREF model runs at 03Z, 09Z, 15Z, 21Z
 const MODEL_RUNS = [3, 9, 15, 21];
+const VALID_RUNS = ['03', '09', '15', '21'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const VALID_PARAMS = ['Total-SNO', '3hrly-SNO', 'Total-QPF', '3hrly-QPF', '3hrly-TMP', '3h-10mWND'];
+const PARAM_TYPES = {
+    'Total-SNO': 'snow', '3hrly-SNO': 'snow',
+    'Total-QPF': 'precip', '3hrly-QPF': 'precip',
+    '3hrly-TMP': 'temp',
+    '3h-10mWND': 'wind'
+};
+
+// A run is only cached once NOAA has published enough members
+const MIN_MEMBERS = 10;
 
 /**
  * Calculate cache TTL based on when next model run will be available
@@ -60,119 +102,91 @@ function getCacheTTL(runHour) {
     return ttlHours * 60 * 60 * 1000;
 }
 
+/**
+ * @returns {Promise<Object|null>} Cached data, read from disk if it isn't in memory
+ */
 function getFromCache(key) {
-    const item = cache.get(key);
-    if (!item) return null;
-    if (Date.now() > item.expiry) {
-        cache.delete(key);
-        return null;
-    }
-    return item.data;
+    return cache.get(key);
 }
 
-const CACHE_MAX_ENTRIES = 1000;
-const CACHE_TTL_DAYS = 14;  // Keep entries for 14 days
-
 function setInCache(key, data) {
-    // Evict oldest entries if at capacity
-    if (cache.size >= CACHE_MAX_ENTRIES) {
-        // Find oldest entries by cachedAt timestamp
-        const entries = [...cache.entries()].sort((a, b) =>
-            new Date(a[1].cachedAt) - new Date(b[1].cachedAt)
-        );
-        // Remove oldest 10% to avoid constant eviction
-        const toRemove = Math.ceil(CACHE_MAX_ENTRIES * 0.1);
-        for (let i = 0; i < toRemove && i < entries.length; i++) {
-            cache.delete(entries[i][0]);
-            console.log(`[CACHE] Evicted: ${entries[i][0]}`);
-        }
-    }
-
-    cache.set(key, {
-        data,
-        expiry: Date.now() + (CACHE_TTL_DAYS * 24 * 60 * 60 * 1000),
-        cachedAt: new Date().toISOString()
-    });
-    saveCacheToDisk();
-}
-
-let saveTimeout;
-function saveCacheToDisk() {
-    clearTimeout(saveTimeout);
-    saveTimeout = setTimeout(() => {
-        try {
-            const obj = Object.fromEntries(cache);
-            fs.writeFile(CACHE_FILE, JSON.stringify(obj), (err) => {
-                if (err) console.error('[CACHE] Write error:', err);
-            });
-        } catch (err) {
-            console.error('[CACHE] Serialize error:', err);
-        }
-    }, 5000);
+    cache.set(key, data);
 }
 
 /**
- * Fetch data from NOAA SREF API
+ * When a cached entry was stored
+ * @returns {Date|null} null if the key isn't cached
  */
-function fetchFromNOAA(station, run, param, date) {
-    return new Promise((resolve, reject) => {
-        const ymd = date.replace(/-/g, '');
-        const reqPath = `/exper/sref/srefplumes/returndata.php?` +
-            `search=${station}-${run}-${param}` +
-            `&file=json_sid/${ymd}_${run}/${station}` +
-            `&mem=:&means=`;
-
-        const options = {
-            hostname: 'www.spc.noaa.gov',
-            port: 443,
-            path: reqPath,
-            method: 'GET',
-            headers: {
-                'User-Agent': 'SREF-Viewer/1.0 (Personal Weather Tool)',
-                'Accept': 'application/json'
-            }
-        };
+function getCachedAt(key) {
+    const meta = cache.info(key);
+    return meta ? new Date(meta.cachedAt) : null;
+}
 
-        const req = https.request(options, (res) => {
-            let data = '';
-            res.on('data', chunk => { data += chunk; });
-            res.on('end', () => {
-                if (res.statusCode !== 200) {
-                    reject(new Error(`NOAA returned ${res.statusCode}`));
-                    return;
-                }
-                try {
-                    let parsed;
-                    try {
-                        parsed = JSON.parse(JSON.parse(data));
-                    } catch {
-                        parsed = JSON.parse(data);
-                    }
-                    resolve(parsed);
-                } catch (e) {
-                    reject(new Error('Failed to parse NOAA response'));
-                }
-            });
-        });
+// ============ Metrics ============
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+const metrics = createRegistry();
+
+const cacheRequests = metrics.counter('sref_cache_requests_total',
+    'SREF data requests by cache result (mirrors X-Cache)', ['result']);
+const noaaDuration = metrics.histogram('sref_noaa_request_duration_seconds',
+    'Latency of individual upstream NOAA requests', ['outcome'], [0.25, 0.5, 1, 2, 5, 10, 15]);
+const noaaRetries = metrics.counter('sref_noaa_retries_total',
+    'Upstream requests retried by fetchWithRetry');
+const upstreamErrors = metrics.counter('sref_upstream_errors_total',
+    'Failed upstream requests by error class', ['class']);
+const rateLimitRejections = metrics.counter('sref_rate_limit_rejections_total',
+    'SREF requests rejected by the API rate limiter');
+const loginFailures = metrics.counter('sref_login_failures_total',
+    'Failed admin logins', ['reason']);
+metrics.gauge('sref_cache_entries', 'Entries in the SREF data cache', () => cache.size);
+metrics.gauge('sref_cache_bytes', 'Size of the SREF data cache on disk', () => cache.bytes);
 
-        req.on('error', reject);
-        req.setTimeout(15000, () => {
-            req.destroy();
-            reject(new Error('Request timeout'));
-        });
-        req.end();
-    });
+/**
+ * Group upstream errors into a small, fixed set of label values
+ */
+function classifyUpstreamError(err) {
+    const status = err.message.match(/NOAA returned (\d)/);
+    if (status) return `http_${status[1]}xx`;
+    if (err.message.includes('timeout')) return 'timeout';
+    if (err.message.includes('parse')) return 'parse';
+    if (err.code) return 'network';
+    return 'other';
 }
 
+// ============ Upstream Data Source ============
+// 'https' fetches live from NOAA, 'fixture' serves recorded plume files (offline/CI)
+const UPSTREAM = process.env.UPSTREAM || 'https';
+const UPSTREAM_OPTIONS = {
+    https: {
+        recordDir: process.env.UPSTREAM_RECORD_DIR || null
+    },
+    fixture: {
+        dir: process.env.FIXTURE_DIR || path.join(__dirname, 'fixtures'),
+        simulate: process.env.FIXTURE_SIMULATE || null,
+        rate: process.env.FIXTURE_SIMULATE_RATE ? Number(process.env.FIXTURE_SIMULATE_RATE) : 1,
+        timeout: parseInt(process.env.FIXTURE_TIMEOUT_MS, 10) || undefined,
+        latency: parseInt(process.env.FIXTURE_LATENCY_MS, 10) || 0,
+        partialMembers: parseInt(process.env.FIXTURE_PARTIAL_MEMBERS, 10) || 6
+    }
+};
+const upstream = createUpstream(UPSTREAM, UPSTREAM_OPTIONS[UPSTREAM]);
+console.log(`[UPSTREAM] Using ${upstream.name} adapter`);
+
 /**
  * Fetch with exponential backoff retry
  * Retries on network errors and 5xx status codes
  */
 async function fetchWithRetry(station, run, param, date, retries = 3) {
     for (let attempt = 1; attempt <= retries; attempt++) {
+        const endTimer = noaaDuration.startTimer();
         try {
-            return await fetchFromNOAA(station, run, param, date);
+            const result = await upstream.fetch(station, run, param, date);
+            endTimer({ outcome: 'success' });
+            return result;
         } catch (err) {
+            endTimer({ outcome: 'error' });
+            upstreamErrors.inc({ class: classifyUpstreamError(err) });
+
             const isRetryable = err.message.includes('timeout') ||
                 err.message.includes('ECONNRESET') ||
                 err.message.includes('NOAA returned 5');
@@ -181,6 +195,7 @@ async function fetchWithRetry(station, run, param, date, retries = 3) {
                 throw err;
             }
 
+            noaaRetries.inc();
             const delay = Math.pow(2, attempt - 1) * 1000; // 1s, 2s, 4s
             console.log(`[RETRY] Attempt ${attempt} failed (${err.message}), retrying in ${delay}ms...`);
             await new Promise(r => setTimeout(r, delay));
@@ -188,38 +203,181 @@ async function fetchWithRetry(station, run, param, date, retries = 3) {
     }
 }
 
+/**
+ * Member values grouped by timestamp, so series with gaps or different
+ * lengths still line up by actual time rather than by array index
+ * @param {Object} data - Ensemble data (member -> [{x, y}])
+ * @param {string} [core] - 'ARW' or 'NMB' to keep only that core's members
+ * @returns {Map<number, number[]>} time -> member values, in time order
+ */
+function valuesByTime(data, core = null) {
+    const byTime = new Map();
+    for (const [label, points] of Object.entries(data)) {
+        if (label === 'Mean') continue;
+        if (core && getMemberCore(label) !== core) continue;
+        for (const { x, y } of points) {
+            if (!byTime.has(x)) byTime.set(x, []);
+            byTime.get(x).push(y);
+        }
+    }
+    return new Map([...byTime].sort((a, b) => a[0] - b[0]));
+}
+
 /**
  * Process raw NOAA data into a cleaner format with computed mean
  */
 function processData(raw) {
     const processed = {};
-    const timePoints = new Set();
 
     for (const [label, series] of Object.entries(raw)) {
         if (!series.data || series.data.length === 0) continue;
-        processed[label] = series.data.map(([time, value]) => {
-            timePoints.add(time);
-            return { x: time, y: parseFloat(value) || 0 };
-        });
+        processed[label] = series.data.map(([time, value]) => ({ x: time, y: parseFloat(value) || 0 }));
     }
 
-    const sortedTimes = Array.from(timePoints).sort((a, b) => a - b);
-    const memberKeys = Object.keys(processed);
-
-    if (memberKeys.length > 0) {
-        processed['Mean'] = sortedTimes.map(time => {
-            let sum = 0, count = 0;
-            for (const key of memberKeys) {
-                const point = processed[key].find(p => p.x === time);
-                if (point) { sum += point.y; count++; }
-            }
-            return { x: time, y: count > 0 ? sum / count : 0 };
-        });
+    if (Object.keys(processed).length > 0) {
+        processed['Mean'] = [...valuesByTime(processed)].map(([x, values]) => ({ x, y: mean(values) }));
     }
 
     return processed;
 }
 
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Linear interpolation between closest ranks, on an ascending array
+function percentile(sorted, p) {
+    const index = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+const STAT_SERIES = ['mean', 'median', 'std', 'min', 'max', 'p10', 'p25', 'p75', 'p90'];
+
+function summarize(byTime) {
+    const stats = Object.fromEntries(STAT_SERIES.map(name => [name, []]));
+    for (const [x, values] of byTime) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const avg = mean(sorted);
+        const point = {
+            mean: avg,
+            median: percentile(sorted, 50),
+            std: Math.sqrt(mean(sorted.map(v => (v - avg) ** 2))),
+            min: sorted[0],
+            max: sorted[sorted.length - 1],
+            p10: percentile(sorted, 10),
+            p25: percentile(sorted, 25),
+            p75: percentile(sorted, 75),
+            p90: percentile(sorted, 90)
+        };
+        for (const name of STAT_SERIES) {
+            stats[name].push({ x, y: point[name] });
+        }
+    }
+    return stats;
+}
+
+// Cached entries are long-lived objects, so stats are computed once per entry
+const statsMemo = new WeakMap();
+
+/**
+ * Per-timestamp ensemble statistics for all members and for each core
+ * @param {Object} data - Processed ensemble data (member -> [{x, y}])
+ * @returns {{all: Object, ARW: Object, NMB: Object}} Each holds mean, median, std,
+ *   min, max, p10, p25, p75 and p90 series of [{x, y}]
+ */
+function computeStats(data) {
+    if (statsMemo.has(data)) return statsMemo.get(data);
+    const stats = {
+        all: summarize(valuesByTime(data)),
+        ARW: summarize(valuesByTime(data, 'ARW')),
+        NMB: summarize(valuesByTime(data, 'NMB'))
+    };
+    statsMemo.set(data, stats);
+    return stats;
+}
+
+/**
+ * Probability (0-100%) that members reach each threshold, per timestamp
+ * @param {Object} data - Processed ensemble data (member -> [{x, y}])
+ * @param {number[]} thresholds - Values in the param's native unit
+ * @returns {Array<{threshold: number, points: Array<{x, y}>}>}
+ */
+function computeExceedance(data, thresholds) {
+    const byTime = valuesByTime(data);
+    return thresholds.map(threshold => ({
+        threshold,
+        points: [...byTime].map(([x, values]) => {
+            const hits = values.filter(v => v >= threshold).length;
+            return { x, y: Math.round((hits / values.length) * 1000) / 10 };
+        })
+    }));
+}
+
+function getCacheKey(station, run, param, date) {
+    return `${date}_${run}_${station}_${param}`;
+}
+
+function parseCacheKey(key) {
+    const [date, run, station, param] = key.split('_');
+    return { date, run, station, param };
+}
+
+function countMembers(data) {
+    return Object.keys(data).filter(k => k !== 'Mean').length;
+}
+
+/**
+ * Fetch a parameter from NOAA, process it, and cache it if the run is complete
+ * @returns {Promise<{data: Object, memberCount: number, complete: boolean}>}
+ */
+async function fetchAndCache(station, run, param, date) {
+    const cacheKey = getCacheKey(station, run, param, date);
+    const raw = await fetchWithRetry(station.toUpperCase(), run, param, date);
+    const processed = processData(raw);
+    const memberCount = countMembers(processed);
+    const complete = memberCount >= MIN_MEMBERS;
+    rememberRunFetch(station, run, date, memberCount, complete);
+
+    if (complete) {
+        setInCache(cacheKey, processed);
+        console.log(`[CACHED] ${cacheKey} for ${CACHE_TTL_DAYS} days (${memberCount} members)`);
+
+        if (isArchivedStation(station)) {
+            archive.save(station, date, run, param, processed)
+                .then(() => console.log(`[ARCHIVED] ${cacheKey}`))
+                .catch(err => console.error(`[ARCHIVE] Failed to save ${cacheKey}:`, err.message));
+        }
+
+        // Refetches, purges and evictions bring a run back here - alerts.evaluate and
+        // notifySubscribers remember what they sent, so each fires once per run
+        notifyNewRun(station, run, param, date, processed);
+    } else {
+        console.log(`[NOT CACHED] ${cacheKey} - incomplete (${memberCount} members)`);
+    }
+
+    return { data: processed, memberCount, complete };
+}
+
+// In-flight NOAA fetches by cache key, so concurrent misses share one upstream request
+const inFlight = new Map();
+
+/**
+ * Single-flight wrapper around fetchAndCache - callers for the same key
+ * while a fetch is pending all receive the same promise
+ */
+function fetchCoalesced(station, run, param, date) {
+    const cacheKey = getCacheKey(station, run, param, date);
+    let pending = inFlight.get(cacheKey);
+    if (!pending) {
+        pending = fetchAndCache(station, run, param, date)
+            .finally(() => inFlight.delete(cacheKey));
+        inFlight.set(cacheKey, pending);
+    }
+    return pending;
+}
+
 // ============ API Rate Limiting (Token Bucket) ============
 // Token bucket allows bursts for initial cache population, then refills over time
 const rateBuckets = new Map();
@@ -255,84 +413,365 @@ function checkApiRateLimit(ip) {
 // ============ Routes ============
 
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', cacheSize: cache.size, uptime: process.uptime() });
+    res.json({
+        status: 'ok',
+        cacheSize: cache.size,
+        cacheBytes: cache.bytes,
+        inFlight: inFlight.size,
+        upstream: upstream.name,
+        uptime: process.uptime(),
+        warmer: getWarmerStatus()
+    });
+});
+
+// Prometheus scrape endpoint - requires `Authorization: Bearer <METRICS_TOKEN>` when set
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN) {
+        const token = req.headers.authorization?.replace('Bearer ', '') || '';
+        const expected = Buffer.from(METRICS_TOKEN);
+        const given = Buffer.from(token);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(401).type('text/plain').send('Unauthorized\n');
+        }
+    }
+    res.set('Content-Type', metrics.contentType);
+    res.send(metrics.render());
 });
 
+// Aggregate counts only - per-entry details are admin-only (/api/admin/cache)
 app.get('/api/cache-stats', (req, res) => {
-    const stats = { entries: cache.size, keys: [] };
-    const now = Date.now();
-    for (const [key, value] of cache.entries()) {
-        stats.keys.push({
-            key,
-            cachedAt: value.cachedAt,
-            expiresIn: Math.round((value.expiry - now) / 1000 / 60) + ' minutes'
-        });
+    const stats = { entries: cache.size, bytes: cache.bytes, loadedBytes: cache.loadedBytes, byStation: {}, byParam: {} };
+    for (const key of cache.keys()) {
+        const { station, param } = parseCacheKey(key);
+        stats.byStation[station] = (stats.byStation[station] || 0) + 1;
+        stats.byParam[param] = (stats.byParam[param] || 0) + 1;
     }
     res.json(stats);
 });
 
-app.get('/api/sref/:station/:run/:param', async (req, res) => {
-    const { station, run, param } = req.params;
-    const date = req.query.date || new Date().toISOString().split('T')[0];
+app.get('/api/stations', (req, res) => {
+    res.json({ stations: STATIONS });
+});
 
-    // Validate inputs
-    if (!/^[A-Za-z]{3,4}$/.test(station)) {
-        return res.status(400).json({ error: 'Invalid station format' });
-    }
-    const validRuns = ['03', '09', '15', '21'];
-    const validParams = ['Total-SNO', '3hrly-SNO', 'Total-QPF', '3hrly-QPF', '3hrly-TMP', '3h-10mWND'];
+function unknownStationError(station) {
+    return {
+        error: `Unknown station: ${String(station).toUpperCase()}`,
+        suggestions: suggestStations(station),
+        hint: 'See /api/stations for supported stations'
+    };
+}
 
-    if (!validRuns.includes(run)) {
-        return res.status(400).json({ error: 'Invalid run time' });
-    }
-    if (!validParams.includes(param)) {
-        return res.status(400).json({ error: 'Invalid parameter' });
-    }
+/**
+ * Validate station, run and date before anything reaches NOAA or the cache
+ * @returns {Object|null} 400 response body, or null if valid
+ */
+function validateStationRun(station, run, date) {
+    if (!getStation(station)) return unknownStationError(station);
+    if (!VALID_RUNS.includes(run)) return { error: 'Invalid run time' };
+    if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return { error: 'date must be YYYY-MM-DD' };
+    return null;
+}
 
-    const cacheKey = `${date}_${run}_${station}_${param}`;
+/**
+ * Resolve one param from cache, an in-flight fetch, or NOAA
+ * Rejects with err.status = 429 when the client's rate limit is exhausted
+ * @returns {Promise<{cache: string, data: Object, complete: boolean, cachedAt: Date|null}>} cache is the
+ *   X-Cache value, complete whether the run had enough members, cachedAt null for data that wasn't cached
+ */
+async function getSREFData(station, run, param, date, ip) {
+    const cacheKey = getCacheKey(station, run, param, date);
 
     // Check cache first - cache hits don't count against rate limit
-    const cached = getFromCache(cacheKey);
+    const cached = await getFromCache(cacheKey);
     if (cached) {
         console.log(`[CACHE HIT] ${cacheKey}`);
-        res.set('X-Cache', 'HIT');
-        return res.json(cached);
+        cacheRequests.inc({ result: 'hit' });
+        // Only complete runs are cached or archived
+        return { cache: 'HIT', data: cached, complete: true, cachedAt: getCachedAt(cacheKey) };
     }
 
-    // Rate limiting only for cache misses (actual NOAA requests)
-    const ip = req.ip || req.connection.remoteAddress;
-    if (!checkApiRateLimit(ip)) {
-        console.log(`[RATE LIMIT] ${ip} - ${cacheKey}`);
-        return res.status(429).json({ error: 'Too many requests. Please slow down.' });
+    // Archived runs outlive the cache - serve them without asking NOAA
+    const archived = await archive.get(station, date, run, param);
+    if (archived) {
+        console.log(`[ARCHIVE HIT] ${cacheKey}`);
+        cacheRequests.inc({ result: 'archive' });
+        return { cache: 'ARCHIVE', data: archived.data, complete: true, cachedAt: archived.archivedAt };
+    }
+
+    // Joining a fetch already in flight doesn't hit NOAA, so it isn't rate limited
+    const coalesced = inFlight.has(cacheKey);
+    if (coalesced) {
+        console.log(`[COALESCED] ${cacheKey} - waiting on in-flight fetch`);
+    } else {
+        // Rate limiting only for cache misses (actual NOAA requests)
+        if (!checkApiRateLimit(ip)) {
+            console.log(`[RATE LIMIT] ${ip} - ${cacheKey}`);
+            rateLimitRejections.inc();
+            const err = new Error('Too many requests. Please slow down.');
+            err.status = 429;
+            throw err;
+        }
+        console.log(`[CACHE MISS] ${cacheKey} - fetching from NOAA...`);
+    }
+
+    try {
+        const { data, complete } = await fetchCoalesced(station, run, param, date);
+        const cache = coalesced ? 'COALESCED' : (complete ? 'MISS' : 'INCOMPLETE');
+        cacheRequests.inc({ result: cache.toLowerCase() });
+        return { cache, data, complete, cachedAt: getCachedAt(cacheKey) };
+    } catch (err) {
+        console.error(`[ERROR] ${cacheKey}:`, err.message);
+        cacheRequests.inc({ result: 'error' });
+        throw err;
+    }
+}
+
+/**
+ * Send a body with a strong ETag and Last-Modified so clients can revalidate
+ * Express answers 304 on its own when If-None-Match / If-Modified-Since still match
+ * @param {Object|string|Buffer} body - Sent as JSON, or as-is (with the type already set) when a string or Buffer
+ * @param {Date|null} lastModified - Omitted when the data isn't cached
+ */
+function sendRevalidatable(res, body, lastModified) {
+    const isRaw = typeof body === 'string' || Buffer.isBuffer(body);
+    const payload = isRaw ? body : JSON.stringify(body);
+    const hash = crypto.createHash('sha1').update(payload).digest('base64url');
+    res.set('ETag', `"${hash}"`);
+    if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+    }
+    // Always revalidate - a new run can land in the cache at any time
+    res.set('Cache-Control', 'no-cache');
+    if (!isRaw) res.type('json');
+    res.send(payload);
+}
+
+// Standalone SVG plume for embedding - registered before the JSON route, whose
+// :param would otherwise match "Total-SNO.svg"
+// ?date=YYYY-MM-DD&theme=light|dark&bands=1&width=800&height=400
+app.get('/api/sref/:station/:run/:param.svg', async (req, res) => {
+    const { run, param } = req.params;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    const invalid = validateStationRun(req.params.station, run, date);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+    const station = getStation(req.params.station).id;
+    if (!VALID_PARAMS.includes(param)) {
+        return res.status(400).json({ error: 'Invalid parameter' });
+    }
+    const theme = req.query.theme || 'dark';
+    if (!['dark', 'light'].includes(theme)) {
+        return res.status(400).json({ error: 'theme must be dark or light' });
+    }
+    const width = req.query.width ? parseInt(req.query.width, 10) : 800;
+    const height = req.query.height ? parseInt(req.query.height, 10) : 400;
+    if (!(width >= 200 && width <= 2000) || !(height >= 120 && height <= 1200)) {
+        return res.status(400).json({ error: 'width must be 200-2000 and height 120-1200' });
+    }
+
+    try {
+        const ip = req.ip || req.connection.remoteAddress;
+        const { cache, data, cachedAt } = await getSREFData(station, run, param, date, ip);
+        const svg = renderPlumeSvg({
+            param,
+            data,
+            stats: ['1', 'true'].includes(req.query.bands) ? computeStats(data) : null,
+            title: `${station} ${run}Z ${date} - ${PARAM_LABELS[param].name}`,
+            theme,
+            width,
+            height
+        });
+        res.set('X-Cache', cache);
+        res.type('image/svg+xml');
+        sendRevalidatable(res, svg, cachedAt);
+    } catch (err) {
+        if (err.status === 429) {
+            return res.status(429).json({ error: err.message });
+        }
+        res.status(502).json({ error: 'Failed to fetch from NOAA', details: err.message });
     }
+});
 
-    console.log(`[CACHE MISS] ${cacheKey} - fetching from NOAA...`);
+app.get('/api/sref/:station/:run/:param', async (req, res) => {
+    const { run, param } = req.params;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    // Validate inputs
+    const invalid = validateStationRun(req.params.station, run, date);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+    const station = getStation(req.params.station).id;
+    if (!VALID_PARAMS.includes(param)) {
+        return res.status(400).json({ error: 'Invalid parameter' });
+    }
 
     try {
-        const raw = await fetchWithRetry(station.toUpperCase(), run, param, date);
-        const processed = processData(raw);
-        const memberCount = Object.keys(processed).filter(k => k !== 'Mean').length;
+        const ip = req.ip || req.connection.remoteAddress;
+        const { cache, data, cachedAt } = await getSREFData(station, run, param, date, ip);
+        res.set('X-Cache', cache);
+        sendRevalidatable(res, data, cachedAt);
+    } catch (err) {
+        if (err.status === 429) {
+            return res.status(429).json({ error: err.message });
+        }
+        res.status(502).json({ error: 'Failed to fetch from NOAA', details: err.message });
+    }
+});
 
-        if (memberCount >= 10) {
-            setInCache(cacheKey, processed);
-            console.log(`[CACHED] ${cacheKey} for ${CACHE_TTL_DAYS} days (${memberCount} members)`);
-            res.set('X-Cache', 'MISS');
-        } else {
-            console.log(`[NOT CACHED] ${cacheKey} - incomplete (${memberCount} members)`);
-            res.set('X-Cache', 'INCOMPLETE');
+/**
+ * Exceedance thresholds for a param - from ?thresholds=1,3,6 or the site settings
+ * @returns {number[]|null} null if the override is malformed
+ */
+function getExceedanceThresholds(param, override) {
+    if (override) {
+        const values = String(override).split(',').map(Number);
+        if (values.length > 10 || values.some(v => !Number.isFinite(v))) return null;
+        return values;
+    }
+    const type = PARAM_TYPES[param];
+    const configured = loadSettings().exceedanceThresholds?.[type];
+    return Array.isArray(configured) ? configured : DEFAULT_SETTINGS.exceedanceThresholds[type];
+}
+
+app.get('/api/sref/:station/:run/:param/exceedance', async (req, res) => {
+    const { run, param } = req.params;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    const invalid = validateStationRun(req.params.station, run, date);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+    const station = getStation(req.params.station).id;
+    if (!VALID_PARAMS.includes(param)) {
+        return res.status(400).json({ error: 'Invalid parameter' });
+    }
+    const thresholds = getExceedanceThresholds(param, req.query.thresholds);
+    if (!thresholds) {
+        return res.status(400).json({ error: 'Invalid thresholds' });
+    }
+
+    try {
+        const ip = req.ip || req.connection.remoteAddress;
+        const { cache, data, cachedAt } = await getSREFData(station, run, param, date, ip);
+        res.set('X-Cache', cache);
+        sendRevalidatable(res, {
+            station, run, date, param,
+            memberCount: countMembers(data),
+            exceedance: computeExceedance(data, thresholds)
+        }, cachedAt);
+    } catch (err) {
+        if (err.status === 429) {
+            return res.status(429).json({ error: err.message });
         }
+        res.status(502).json({ error: 'Failed to fetch from NOAA', details: err.message });
+    }
+});
+
+app.get('/api/sref/:station/:run/:param/stats', async (req, res) => {
+    const { run, param } = req.params;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    const invalid = validateStationRun(req.params.station, run, date);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+    const station = getStation(req.params.station).id;
+    if (!VALID_PARAMS.includes(param)) {
+        return res.status(400).json({ error: 'Invalid parameter' });
+    }
 
-        res.json(processed);
+    try {
+        const ip = req.ip || req.connection.remoteAddress;
+        const { cache, data, cachedAt } = await getSREFData(station, run, param, date, ip);
+        res.set('X-Cache', cache);
+        sendRevalidatable(res, {
+            station, run, date, param,
+            memberCount: countMembers(data),
+            stats: computeStats(data)
+        }, cachedAt);
     } catch (err) {
-        console.error(`[ERROR] ${cacheKey}:`, err.message);
+        if (err.status === 429) {
+            return res.status(429).json({ error: err.message });
+        }
         res.status(502).json({ error: 'Failed to fetch from NOAA', details: err.message });
     }
 });
 
+// Archived stations with their date range
+app.get('/api/archive', (req, res) => {
+    res.json({
+        archiveStations: loadSettings().archiveStations || [],
+        stations: archive.summary()
+    });
+});
+
+// Archived runs for one station, newest first
+app.get('/api/archive/:station', (req, res) => {
+    const info = getStation(req.params.station);
+    if (!info) {
+        return res.status(400).json(unknownStationError(req.params.station));
+    }
+    res.json({ station: info.id, runs: archive.list(info.id) });
+});
+
+// Every param for a run in one response (?params=Total-SNO,3hrly-TMP for a subset,
+// &include=exceedance,stats to add exceedance probabilities and ensemble statistics to each param)
+app.get('/api/sref/:station/:run', async (req, res) => {
+    const { run } = req.params;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    const invalid = validateStationRun(req.params.station, run, date);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+    const station = getStation(req.params.station).id;
+
+    const params = req.query.params
+        ? String(req.query.params).split(',').map(p => p.trim()).filter(Boolean)
+        : VALID_PARAMS;
+    const unknown = params.filter(p => !VALID_PARAMS.includes(p));
+    if (unknown.length > 0 || params.length === 0) {
+        return res.status(400).json({ error: `Invalid parameter: ${unknown.join(', ')}` });
+    }
+
+    const include = String(req.query.include || '').split(',');
+    const includeExceedance = include.includes('exceedance');
+    const includeStats = include.includes('stats');
+
+    const ip = req.ip || req.connection.remoteAddress;
+    const results = await Promise.all(params.map(async (param) => {
+        try {
+            const { cache, data, cachedAt } = await getSREFData(station, run, param, date, ip);
+            const entry = { cache, memberCount: countMembers(data), data, cachedAt };
+            if (includeExceedance) {
+                entry.exceedance = computeExceedance(data, getExceedanceThresholds(param));
+            }
+            if (includeStats) {
+                entry.stats = computeStats(data);
+            }
+            return [param, entry];
+        } catch (err) {
+            const cache = err.status === 429 ? 'RATE_LIMITED' : 'ERROR';
+            return [param, { cache, memberCount: 0, error: err.message }];
+        }
+    }));
+
+    // Last-Modified only when every param came from the cache
+    const cachedAts = results.map(([, entry]) => entry.cachedAt);
+    const lastModified = cachedAts.every(Boolean)
+        ? new Date(Math.max(...cachedAts))
+        : null;
+    for (const [, entry] of results) delete entry.cachedAt;
+
+    sendRevalidatable(res, { station, run, date, params: Object.fromEntries(results) }, lastModified);
+});
+
 // ============ Admin Panel ============
 const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
 const UPLOADS_DIR = path.join(DATA_DIR, 'uploads');
-const crypto = require('crypto');
 
 // Ensure uploads directory exists
 try {
@@ -343,86 +782,104 @@ try {
     console.error('[ADMIN] Failed to create uploads dir:', err);
 }
 
-// Admin credentials from environment
+// Initial admin account, created when the user store is empty
 const ADMIN_USER = process.env.ADMIN_USERNAME || 'admin';
 const ADMIN_PASS = process.env.ADMIN_PASSWORD || 'changeme';
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev-secret';
 
-// Active sessions (in-memory, cleared on restart)
-const sessions = new Map();
-
-// Default settings
-const DEFAULT_SETTINGS = {
-    siteName: 'NYC SREF Ensemble Plumes',
-    siteDescription: 'SREF ensemble plume diagrams for weather forecasting',
-    favicon: '',
-    ogImage: '',
-    defaultStations: ['JFK', 'LGA', 'EWR'],
-    analyticsScript: '',
-    analyticsEnabled: false,
-    customCss: ''
-};
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const users = createUserStore({ file: USERS_FILE });
 
-// Load settings
-function loadSettings() {
-    try {
-        if (fs.existsSync(SETTINGS_FILE)) {
-            const raw = fs.readFileSync(SETTINGS_FILE, 'utf8');
-            return { ...DEFAULT_SETTINGS, ...JSON.parse(raw) };
+users.bootstrap(ADMIN_USER, ADMIN_PASS)
+    .then(created => {
+        if (!created) return;
+        console.log(`[ADMIN] Created initial admin account: ${ADMIN_USER}`);
+        if (ADMIN_PASS === 'changeme') {
+            console.warn('[ADMIN] Initial admin uses the default password - change it in the admin panel');
         }
-    } catch (err) {
-        console.error('[ADMIN] Failed to load settings:', err);
-    }
-    return { ...DEFAULT_SETTINGS };
+    })
+    .catch(err => console.error('[ADMIN] Failed to create initial admin account:', err.message));
+
+// Signed, persisted sessions (see lib/sessions.js)
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+const sessions = createSessionStore({ file: SESSIONS_FILE, secret: SESSION_SECRET });
+setInterval(() => sessions.prune(), 60 * 60 * 1000).unref();
+
+if (SESSION_SECRET === 'dev-secret') {
+    console.warn('[ADMIN] SESSION_SECRET is not set - session tokens are signed with a default key');
 }
 
-// Save settings
-function saveSettings(settings) {
-    try {
-        // Ensure data directory exists
-        if (!fs.existsSync(DATA_DIR)) {
-            fs.mkdirSync(DATA_DIR, { recursive: true });
-        }
-        fs.writeFileSync(SETTINGS_FILE, JSON.stringify(settings, null, 2));
-        console.log('[ADMIN] Settings saved to:', SETTINGS_FILE);
-        return true;
-    } catch (err) {
-        console.error('[ADMIN] Failed to save settings:', err.message);
-        console.error('[ADMIN] Settings file path:', SETTINGS_FILE);
-        console.error('[ADMIN] Full error:', err);
-        return false;
-    }
+// Append-only audit log of admin actions (see lib/audit-log.js)
+const AUDIT_DIR = path.join(DATA_DIR, 'audit');
+const AUDIT_MAX_BYTES = (parseInt(process.env.AUDIT_MAX_MB, 10) || 5) * 1024 * 1024;
+const AUDIT_FILES = 5;
+const AUDIT_ACTIONS = [
+    'login.success', 'login.failure', 'logout',
+    'settings.update', 'settings.restore', 'upload',
+    'cache.purge', 'cache.refetch',
+    'alert.create', 'alert.update', 'alert.delete',
+    'user.create', 'user.update', 'user.reset', 'user.2fa_remove',
+    '2fa.enable', '2fa.disable', '2fa.recovery_codes', '2fa.failure'
+];
+const auditLog = createAuditLog({ dir: AUDIT_DIR, maxBytes: AUDIT_MAX_BYTES, maxFiles: AUDIT_FILES });
+
+/**
+ * Record an admin action; the actor defaults to the signed-in user
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} [fields] - { actor, target, details }
+ */
+function audit(req, action, fields = {}) {
+    auditLog.record({
+        action,
+        actor: req.user?.username ?? null,
+        ip: req.ip || req.connection.remoteAddress,
+        ...fields
+    });
 }
 
-// Generate session token
-function createSession() {
-    const token = crypto.randomBytes(32).toString('hex');
-    sessions.set(token, { created: Date.now() });
-    return token;
+// Schema-validated settings with revision history (see lib/settings.js)
+const SETTINGS_HISTORY_FILE = path.join(DATA_DIR, 'settings-history.json');
+const settingsStore = createSettingsStore({ file: SETTINGS_FILE, historyFile: SETTINGS_HISTORY_FILE, getStation });
+
+function loadSettings() {
+    return settingsStore.get();
 }
 
-// Validate session
-function validateSession(token) {
-    if (!token) return false;
-    const session = sessions.get(token);
-    if (!session) return false;
-    // Sessions expire after 24 hours
-    if (Date.now() - session.created > 24 * 60 * 60 * 1000) {
-        sessions.delete(token);
-        return false;
-    }
-    return true;
+// Methods that don't change state and so skip the CSRF check
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getSessionToken(req) {
+    return req.headers.authorization?.replace('Bearer ', '') || null;
 }
 
-// Auth middleware
-function requireAuth(req, res, next) {
-    const token = req.headers.authorization?.replace('Bearer ', '');
-    if (!validateSession(token)) {
-        return res.status(401).json({ error: 'Unauthorized' });
-    }
-    next();
+/**
+ * Auth middleware for a minimum role (see lib/users.js)
+ * The user is re-read on every request so role changes and disabling apply at once.
+ * State-changing requests must also send the session's CSRF token in X-CSRF-Token.
+ */
+function requireRole(role) {
+    return (req, res, next) => {
+        const token = getSessionToken(req);
+        const session = sessions.touch(token);
+        const user = session && users.get(session.username);
+        if (!user || user.disabled) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (!SAFE_METHODS.includes(req.method) && !sessions.checkCsrf(token, req.get('X-CSRF-Token'))) {
+            return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+        }
+        if (!hasRole(user, role)) {
+            return res.status(403).json({ error: 'Forbidden: requires the admin role' });
+        }
+        req.user = user;
+        req.csrfToken = session.csrfToken;
+        next();
+    };
 }
 
+const requireAuth = requireRole('editor');
+const requireAdmin = requireRole('admin');
+
 // Parse JSON bodies
 app.use(express.json());
 
@@ -446,31 +903,126 @@ function recordLoginAttempt(ip) {
     loginAttempts.set(ip, attempts);
 }
 
-// Admin login
-app.post('/api/admin/login', (req, res) => {
-    const ip = req.ip || req.connection.remoteAddress;
+// Users with two-factor enabled get a challenge after the password step,
+// redeemed with a code within CHALLENGE_TTL (in-memory, like the rate limits)
+const loginChallenges = new Map();
+const CHALLENGE_TTL = 5 * 60 * 1000;
+
+function startSession(req, res, user, method) {
+    const { token, csrfToken } = sessions.create(user.username);
+    console.log(`[ADMIN] Login successful: ${user.username} (${user.role})`);
+    audit(req, 'login.success', { actor: user.username, details: { method } });
+    res.json({ token, csrfToken, username: user.username, role: user.role });
+}
 
+/**
+ * Check a TOTP or recovery code under the login rate limit
+ * Sends the error response and returns null when the code is rejected.
+ * @param {string} failureAction - Audit action for a rejected code
+ */
+function checkSecondFactor(req, res, username, failureAction) {
+    const ip = req.ip || req.connection.remoteAddress;
     if (!checkRateLimit(ip)) {
         console.log(`[ADMIN] Rate limited: ${ip}`);
-        return res.status(429).json({ error: 'Too many login attempts. Try again later.' });
+        loginFailures.inc({ reason: 'rate_limited' });
+        audit(req, failureAction, { actor: username, details: { reason: 'rate_limited' } });
+        res.status(429).json({ error: 'Too many login attempts. Try again later.' });
+        return null;
     }
 
-    const { username, password } = req.body;
-
-    if (username === ADMIN_USER && password === ADMIN_PASS) {
-        const token = createSession();
-        console.log('[ADMIN] Login successful');
-        res.json({ token });
-    } else {
+    const result = users.verifySecondFactor(username, req.body?.code);
+    if (!result) {
         recordLoginAttempt(ip);
-        console.log('[ADMIN] Login failed');
-        res.status(401).json({ error: 'Invalid credentials' });
+        loginFailures.inc({ reason: 'invalid_code' });
+        audit(req, failureAction, { actor: username, details: { reason: 'invalid_code' } });
+        console.log(`[ADMIN] Invalid two-factor code for ${username}`);
+        res.status(401).json({ error: 'Invalid code' });
+        return null;
     }
-});
+    if (result.method === 'recovery') {
+        console.log(`[ADMIN] ${username} used a recovery code (${result.recoveryCodesLeft} left)`);
+    }
+    return result;
+}
 
-// Check auth status
-app.get('/api/admin/check', requireAuth, (req, res) => {
-    res.json({ authenticated: true });
+// Admin login: { username, password }, then { challenge, code } if two-factor is enabled
+app.post('/api/admin/login', async (req, res) => {
+    const ip = req.ip || req.connection.remoteAddress;
+
+    if (!checkRateLimit(ip)) {
+        console.log(`[ADMIN] Rate limited: ${ip}`);
+        loginFailures.inc({ reason: 'rate_limited' });
+        audit(req, 'login.failure', { actor: req.body.username || null, details: { reason: 'rate_limited' } });
+        return res.status(429).json({ error: 'Too many login attempts. Try again later.' });
+    }
+
+    if (req.body.challenge) {
+        const pending = loginChallenges.get(req.body.challenge);
+        if (!pending || Date.now() > pending.expires) {
+            loginChallenges.delete(req.body.challenge);
+            return res.status(401).json({ error: 'Login expired - sign in again' });
+        }
+        const factor = checkSecondFactor(req, res, pending.username, 'login.failure');
+        if (!factor) return;
+
+        loginChallenges.delete(req.body.challenge);
+        const user = users.get(pending.username);
+        if (!user || user.disabled) {
+            return res.status(401).json({ error: 'Invalid credentials' });
+        }
+        return startSession(req, res, user, factor.method);
+    }
+
+    const { username, password } = req.body;
+    const user = await users.verify(username, password);
+
+    if (user?.totpEnabled) {
+        const challenge = crypto.randomBytes(32).toString('base64url');
+        loginChallenges.set(challenge, { username: user.username, expires: Date.now() + CHALLENGE_TTL });
+        for (const [key, pending] of loginChallenges) {
+            if (Date.now() > pending.expires) loginChallenges.delete(key);
+        }
+        res.json({ twoFactorRequired: true, challenge });
+    } else if (user) {
+        startSession(req, res, user, 'password');
+    } else {
+        recordLoginAttempt(ip);
+        loginFailures.inc({ reason: 'invalid_credentials' });
+        audit(req, 'login.failure', {
+            actor: typeof username === 'string' ? username.slice(0, 64) : null,
+            details: { reason: 'invalid_credentials' }
+        });
+        console.log('[ADMIN] Login failed');
+        res.status(401).json({ error: 'Invalid credentials' });
+    }
+});
+
+// Check auth status
+app.get('/api/admin/check', requireAuth, (req, res) => {
+    res.json({
+        authenticated: true,
+        username: req.user.username,
+        role: req.user.role,
+        totpEnabled: req.user.totpEnabled,
+        recoveryCodesLeft: req.user.recoveryCodesLeft,
+        csrfToken: req.csrfToken
+    });
+});
+
+// End this session
+app.post('/api/admin/logout', requireAuth, (req, res) => {
+    sessions.revoke(getSessionToken(req));
+    console.log(`[ADMIN] Logout: ${req.user.username}`);
+    audit(req, 'logout');
+    res.json({ loggedOut: true });
+});
+
+// End every session of the current user, this one included
+app.post('/api/admin/logout-all', requireAuth, (req, res) => {
+    const revoked = sessions.revokeUser(req.user.username);
+    console.log(`[ADMIN] Logged out ${revoked} sessions for ${req.user.username}`);
+    audit(req, 'logout', { details: { sessions: revoked } });
+    res.json({ loggedOut: revoked });
 });
 
 // Get settings
@@ -478,21 +1030,82 @@ app.get('/api/admin/settings', requireAuth, (req, res) => {
     res.json(loadSettings());
 });
 
-// Update settings
+// Settings editors may change; everything else needs the admin role
+const BRANDING_FIELDS = ['siteName', 'siteDescription', 'favicon', 'ogImage', 'customCss'];
+
+/**
+ * Send 403 and return false if the user may not make the change from `current` to `proposed`
+ */
+function checkSettingsAccess(req, res, current, proposed) {
+    if (hasRole(req.user, 'admin')) return true;
+    const restricted = diffSettings(current, proposed)
+        .map(d => d.field)
+        .filter(field => !BRANDING_FIELDS.includes(field));
+    if (restricted.length === 0) return true;
+    res.status(403).json({ error: `Editors can only change branding (not ${restricted.join(', ')})` });
+    return false;
+}
+
+// Update settings - validated against the schema and saved as a new revision
 app.post('/api/admin/settings', requireAuth, (req, res) => {
-    const current = loadSettings();
-    const updated = { ...current, ...req.body };
+    try {
+        const before = loadSettings();
+        const proposed = settingsStore.preview(req.body);
+        if (!checkSettingsAccess(req, res, before, proposed)) return;
+
+        const { settings, revision } = settingsStore.save(req.body, req.user.username);
+        console.log(`[ADMIN] Settings revision ${revision} saved by ${req.user.username}`);
+        audit(req, 'settings.update', { target: `revision ${revision}`, details: { changes: diffSettings(before, settings) } });
+        res.json(settings);
+    } catch (err) {
+        if (!err.status) console.error('[ADMIN] Failed to save settings:', err);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to save settings' });
+    }
+});
+
+// Revisions, newest first, with the fields each one changed
+app.get('/api/admin/settings/history', requireAuth, (req, res) => {
+    res.json({ revisions: settingsStore.history() });
+});
 
-    // Validate
-    if (updated.defaultStations && !Array.isArray(updated.defaultStations)) {
-        return res.status(400).json({ error: 'defaultStations must be an array' });
+app.get('/api/admin/settings/history/:revision', requireAuth, (req, res) => {
+    const entry = settingsStore.getRevision(req.params.revision);
+    if (!entry) {
+        return res.status(404).json({ error: 'Revision not found' });
     }
+    res.json(entry);
+});
 
-    if (saveSettings(updated)) {
-        console.log('[ADMIN] Settings updated');
-        res.json(updated);
-    } else {
-        res.status(500).json({ error: 'Failed to save settings' });
+// Fields that differ between a revision and ?against=<revision> (default: the current settings)
+app.get('/api/admin/settings/history/:revision/diff', requireAuth, (req, res) => {
+    const against = req.query.against ? Number(req.query.against) : null;
+    const changes = settingsStore.diff(req.params.revision, against);
+    if (!changes) {
+        return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json({ revision: Number(req.params.revision), against: against ?? 'current', changes });
+});
+
+// Save an earlier revision's settings as a new revision
+app.post('/api/admin/settings/history/:revision/restore', requireAuth, (req, res) => {
+    try {
+        const before = loadSettings();
+        const proposed = settingsStore.previewRestore(req.params.revision);
+        if (!proposed) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        if (!checkSettingsAccess(req, res, before, proposed)) return;
+
+        const { settings, revision } = settingsStore.restore(req.params.revision, req.user.username);
+        console.log(`[ADMIN] ${req.user.username} restored settings revision ${req.params.revision} as ${revision}`);
+        audit(req, 'settings.restore', {
+            target: `revision ${revision}`,
+            details: { restoredFrom: Number(req.params.revision), changes: diffSettings(before, settings) }
+        });
+        res.json({ revision, settings });
+    } catch (err) {
+        if (!err.status) console.error('[ADMIN] Failed to restore settings:', err);
+        res.status(err.status || 500).json({ error: err.status ? err.message : 'Failed to restore settings' });
     }
 });
 
@@ -530,11 +1143,14 @@ app.post('/api/admin/upload/:type', requireAuth, (req, res) => {
         fs.writeFileSync(filePath, buffer);
 
         // Update settings with the file path
-        const settings = loadSettings();
-        settings[type] = `/uploads/${safeName}`;
-        saveSettings(settings);
+        const previous = loadSettings()[type];
+        settingsStore.save({ [type]: `/uploads/${safeName}` }, req.user.username);
 
         console.log(`[ADMIN] Uploaded ${type}: ${safeName}`);
+        audit(req, 'upload', {
+            target: type,
+            details: { path: `/uploads/${safeName}`, bytes: buffer.length, previous }
+        });
         res.json({ path: `/uploads/${safeName}` });
     } catch (err) {
         console.error('[ADMIN] Upload error:', err);
@@ -545,6 +1161,242 @@ app.post('/api/admin/upload/:type', requireAuth, (req, res) => {
 // Serve uploaded files
 app.use('/uploads', express.static(UPLOADS_DIR));
 
+// ============ Two-Factor Authentication ============
+// Each user manages their own second factor; admins can remove it for a user who lost their device
+
+// New secret and otpauth:// URI; enabled once a code from the app is confirmed
+app.post('/api/admin/2fa/setup', requireAuth, (req, res) => {
+    if (req.user.totpEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    res.json(users.startTotp(req.user.username, loadSettings().siteName));
+});
+
+app.post('/api/admin/2fa/enable', requireAuth, (req, res) => {
+    try {
+        const recoveryCodes = users.enableTotp(req.user.username, req.body?.code);
+        console.log(`[ADMIN] Two-factor enabled for ${req.user.username}`);
+        audit(req, '2fa.enable');
+        res.json({ recoveryCodes });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Replace the recovery codes - needs a current code
+app.post('/api/admin/2fa/recovery-codes', requireAuth, (req, res) => {
+    if (!req.user.totpEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!checkSecondFactor(req, res, req.user.username, '2fa.failure')) return;
+    audit(req, '2fa.recovery_codes');
+    res.json({ recoveryCodes: users.regenerateRecoveryCodes(req.user.username) });
+});
+
+app.post('/api/admin/2fa/disable', requireAuth, (req, res) => {
+    if (!req.user.totpEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!checkSecondFactor(req, res, req.user.username, '2fa.failure')) return;
+    console.log(`[ADMIN] Two-factor disabled by ${req.user.username}`);
+    audit(req, '2fa.disable');
+    res.json(users.disableTotp(req.user.username));
+});
+
+// ============ Admin Users ============
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+    res.json({ users: users.list(), roles: ROLES });
+});
+
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+    try {
+        const user = await users.create(req.body || {});
+        console.log(`[ADMIN] ${req.user.username} created user ${user.username} (${user.role})`);
+        audit(req, 'user.create', { target: user.username, details: { role: user.role } });
+        res.status(201).json(user);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Change role or disable/enable
+app.put('/api/admin/users/:username', requireAdmin, (req, res) => {
+    const { role, disabled } = req.body || {};
+    const isSelf = req.params.username.toLowerCase() === req.user.username.toLowerCase();
+    if (isSelf && (disabled === true || (role !== undefined && role !== 'admin'))) {
+        return res.status(400).json({ error: 'You cannot disable or demote your own account' });
+    }
+
+    try {
+        const user = users.update(req.params.username, { role, disabled });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (user.disabled) sessions.revokeUser(user.username);
+        console.log(`[ADMIN] ${req.user.username} updated user ${user.username}: ${user.role}${user.disabled ? ', disabled' : ''}`);
+        audit(req, 'user.update', { target: user.username, details: { role: user.role, disabled: user.disabled } });
+        res.json(user);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Set a new password; the user's other sessions are logged out
+app.post('/api/admin/users/:username/reset', requireAdmin, async (req, res) => {
+    try {
+        const user = await users.resetPassword(req.params.username, req.body?.password);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        sessions.revokeUser(user.username, getSessionToken(req));
+        console.log(`[ADMIN] ${req.user.username} reset the password for ${user.username}`);
+        audit(req, 'user.reset', { target: user.username });
+        res.json(user);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Remove a user's second factor (lost device)
+app.delete('/api/admin/users/:username/2fa', requireAdmin, (req, res) => {
+    const user = users.disableTotp(req.params.username);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    console.log(`[ADMIN] ${req.user.username} removed two-factor for ${user.username}`);
+    audit(req, 'user.2fa_remove', { target: user.username });
+    res.json(user);
+});
+
+// ============ Audit Log ============
+// ?action= (exact, or a prefix like "settings."), &actor=, &since= / &until= (ISO dates), &limit=
+app.get('/api/admin/audit', requireAdmin, (req, res) => {
+    const { action, actor, since, until, limit } = req.query;
+    for (const [name, value] of Object.entries({ since, until })) {
+        if (value && Number.isNaN(Date.parse(value))) {
+            return res.status(400).json({ error: `${name} must be an ISO date` });
+        }
+    }
+
+    const { entries, truncated } = auditLog.query({
+        action,
+        actor,
+        since: since ? new Date(since).toISOString() : null,
+        until: until ? new Date(until).toISOString() : null,
+        limit
+    });
+    res.json({ entries, truncated, actions: AUDIT_ACTIONS });
+});
+
+// ============ Cache Management ============
+const CACHE_FILTERS = ['station', 'run', 'date', 'param'];
+
+/**
+ * Keys matching every given filter ({ station, run, date, param })
+ */
+function findCacheKeys(filters) {
+    const active = CACHE_FILTERS.filter(f => filters[f]);
+    const wanted = Object.fromEntries(active.map(f => [f, String(filters[f])]));
+    if (wanted.station) wanted.station = wanted.station.toUpperCase();
+
+    return [...cache.keys()].filter(key => {
+        const parts = parseCacheKey(key);
+        return active.every(f => parts[f] === wanted[f]);
+    });
+}
+
+function describeCacheEntry(key, meta) {
+    return {
+        key,
+        ...parseCacheKey(key),
+        cachedAt: meta.cachedAt,
+        expiresAt: new Date(meta.expiry).toISOString(),
+        size: meta.size
+    };
+}
+
+// List entries, optionally filtered by ?station=&run=&date=&param=
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    const keys = new Set(findCacheKeys(req.query));
+    const entries = [];
+    for (const [key, meta] of cache.entries()) {
+        if (keys.has(key)) entries.push(describeCacheEntry(key, meta));
+    }
+    entries.reverse(); // Newest first
+    res.json({ total: cache.size, bytes: cache.bytes, count: entries.length, entries });
+});
+
+// Inspect one entry, including its data
+app.get('/api/admin/cache/:key', requireAdmin, async (req, res) => {
+    const { key } = req.params;
+    const meta = cache.info(key);
+    const data = meta && await getFromCache(key);
+    if (!data) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+
+    const times = (data['Mean'] || []).map(p => p.x);
+    res.json({
+        ...describeCacheEntry(key, meta),
+        memberCount: countMembers(data),
+        members: Object.keys(data).filter(k => k !== 'Mean'),
+        firstTime: times.length ? new Date(Math.min(...times)).toISOString() : null,
+        lastTime: times.length ? new Date(Math.max(...times)).toISOString() : null,
+        data
+    });
+});
+
+// Fetch an entry again from NOAA - the cached copy is only replaced by a complete
+// run, so a timeout, 5xx or partial response leaves it in place
+app.post('/api/admin/cache/:key/refetch', requireAdmin, async (req, res) => {
+    const { key } = req.params;
+    const { date, run, station, param } = parseCacheKey(key);
+    if (!getStation(station) || !VALID_RUNS.includes(run) || !VALID_PARAMS.includes(param) ||
+        !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        return res.status(400).json({ error: 'Invalid cache key' });
+    }
+
+    audit(req, 'cache.refetch', { target: key });
+    try {
+        // fetchAndCache overwrites the entry itself once the run is complete
+        const { memberCount, complete } = await fetchCoalesced(station, run, param, date);
+        const kept = !complete && Boolean(cache.info(key));
+        console.log(`[ADMIN] Refetched ${key} (${memberCount} members${kept ? ', kept cached copy' : ''})`);
+        res.json({ key, memberCount, cached: complete, kept });
+    } catch (err) {
+        console.error(`[ADMIN] Refetch failed for ${key}:`, err.message);
+        res.status(502).json({ error: 'Failed to fetch from NOAA', details: err.message });
+    }
+});
+
+// Purge one entry by exact key
+app.delete('/api/admin/cache/:key', requireAdmin, (req, res) => {
+    const { key } = req.params;
+    if (!cache.delete(key)) {
+        return res.status(404).json({ error: 'Cache entry not found' });
+    }
+    console.log(`[ADMIN] Purged ${key}`);
+    audit(req, 'cache.purge', { target: key });
+    res.json({ purged: [key] });
+});
+
+// Purge by pattern - body { station, run, date, param }, at least one required
+app.post('/api/admin/cache/purge', requireAdmin, (req, res) => {
+    const filters = req.body || {};
+    if (!CACHE_FILTERS.some(f => filters[f])) {
+        return res.status(400).json({ error: `Specify at least one of: ${CACHE_FILTERS.join(', ')}` });
+    }
+
+    const purged = findCacheKeys(filters);
+    purged.forEach(key => cache.delete(key));
+    console.log(`[ADMIN] Purged ${purged.length} entries matching ${JSON.stringify(filters)}`);
+    audit(req, 'cache.purge', {
+        target: 'pattern',
+        details: { filters: Object.fromEntries(CACHE_FILTERS.filter(f => filters[f]).map(f => [f, filters[f]])), count: purged.length }
+    });
+    res.json({ purged });
+});
+
 // Public settings endpoint (for frontend to load site config)
 app.get('/api/settings', (req, res) => {
     const settings = loadSettings();
@@ -560,9 +1412,807 @@ app.get('/api/settings', (req, res) => {
     });
 });
 
+// ============ Cache Warmer ============
+// Prefetches every param for the default stations once a run is published,
+// so the first visitor after each run gets cache hits instead of waiting on NOAA.
+const WARMER_ENABLED = process.env.WARMER_ENABLED !== 'false';
+const WARMER_INTERVAL = (parseInt(process.env.WARMER_INTERVAL_MINUTES, 10) || 10) * 60 * 1000;
+const RUN_PUBLISH_DELAY_HOURS = 5;        // NOAA starts publishing ~5h after init
+const WARMER_BACKOFF_MIN = 5 * 60 * 1000;  // First retry for an incomplete run
+const WARMER_BACKOFF_MAX = 60 * 60 * 1000; // Cap for repeated retries
+
+const warmerState = {
+    date: null,
+    run: null,
+    status: WARMER_ENABLED ? 'idle' : 'disabled', // idle | warming | waiting | complete | disabled
+    total: 0,
+    warmed: 0,
+    incomplete: 0,
+    failed: 0,
+    attempts: 0,
+    lastRunAt: null,
+    nextCheckAt: null,
+    lastError: null
+};
+let warmerTimeout;
+
+/**
+ * Determine the most recent run NOAA should have started publishing
+ * @returns {{date: string, run: string}}
+ */
+function getLatestPublishedRun(now = new Date()) {
+    const published = new Date(now.getTime() - RUN_PUBLISH_DELAY_HOURS * 60 * 60 * 1000);
+    let runHour = [...MODEL_RUNS].reverse().find(h => h <= published.getUTCHours());
+
+    // Before 03Z the latest run is the previous day's 21Z
+    if (runHour === undefined) {
+        runHour = MODEL_RUNS[MODEL_RUNS.length - 1];
+        published.setUTCDate(published.getUTCDate() - 1);
+    }
+
+    return {
+        date: published.toISOString().split('T')[0],
+        run: String(runHour).padStart(2, '0')
+    };
+}
+
+function scheduleWarmer(delay) {
+    clearTimeout(warmerTimeout);
+    warmerState.nextCheckAt = new Date(Date.now() + delay).toISOString();
+    warmerTimeout = setTimeout(runWarmer, delay);
+}
+
+async function runWarmer() {
+    const { date, run } = getLatestPublishedRun();
+
+    // New run published - start over
+    if (warmerState.date !== date || warmerState.run !== run) {
+        Object.assign(warmerState, { date, run, status: 'idle', attempts: 0, lastError: null });
+    }
+
+    if (warmerState.status === 'complete') {
+        scheduleWarmer(WARMER_INTERVAL);
+        return;
+    }
+
+    // Archived stations are warmed too so their archive has no gaps
+    const settings = loadSettings();
+    const stations = [...new Set([...(settings.defaultStations || []), ...(settings.archiveStations || [])])];
+    Object.assign(warmerState, {
+        status: 'warming',
+        total: stations.length * VALID_PARAMS.length,
+        warmed: 0,
+        incomplete: 0,
+        failed: 0,
+        lastRunAt: new Date().toISOString()
+    });
+    console.log(`[WARMER] Warming ${run}Z ${date} for ${stations.join(', ')}`);
+
+    for (const station of stations) {
+        for (const param of VALID_PARAMS) {
+            if (cache.has(getCacheKey(station, run, param, date))) {
+                warmerState.warmed++;
+                continue;
+            }
+            try {
+                const { complete } = await fetchCoalesced(station, run, param, date);
+                if (complete) warmerState.warmed++;
+                else warmerState.incomplete++;
+            } catch (err) {
+                warmerState.failed++;
+                warmerState.lastError = `${station}/${param}: ${err.message}`;
+                console.error(`[WARMER] ${station}/${run}/${param} failed:`, err.message);
+            }
+        }
+    }
+
+    if (warmerState.incomplete === 0 && warmerState.failed === 0) {
+        warmerState.status = 'complete';
+        console.log(`[WARMER] ${run}Z ${date} complete (${warmerState.warmed} entries)`);
+        scheduleWarmer(WARMER_INTERVAL);
+        return;
+    }
+
+    // Run still being published (or NOAA erroring) - back off exponentially
+    warmerState.attempts++;
+    warmerState.status = 'waiting';
+    const delay = Math.min(WARMER_BACKOFF_MAX, WARMER_BACKOFF_MIN * Math.pow(2, warmerState.attempts - 1));
+    console.log(`[WARMER] ${run}Z ${date} not ready (${warmerState.incomplete} incomplete, ` +
+        `${warmerState.failed} failed), retrying in ${Math.round(delay / 60000)} min`);
+    scheduleWarmer(delay);
+}
+
+function getWarmerStatus() {
+    return { enabled: WARMER_ENABLED, ...warmerState };
+}
+
+// ============ Run Availability ============
+// Answered from the cache and archive, plus what earlier fetches learned about
+// incomplete runs - a check never spends the caller's rate-limit tokens or reaches NOAA
+const RUN_PROBE_COUNT = 8;                  // Two days of runs
+const RUN_RECHECK_INTERVAL = 10 * 60 * 1000; // Forget an incomplete result after 10 min, NOAA may have filled it in
+
+// `${station}_${date}_${run}` -> { available, memberCount, checkedAt } from the last fetch of any param
+const runAvailability = new Map();
+
+/**
+ * List the most recent model runs by init time, newest first
+ * @returns {Array<{date: string, run: string, initTime: number}>}
+ */
+function getRecentRuns(count, now = new Date()) {
+    const runs = [];
+    const t = new Date(now);
+    t.setUTCMinutes(0, 0, 0);
+
+    while (runs.length < count) {
+        if (MODEL_RUNS.includes(t.getUTCHours())) {
+            runs.push({
+                date: t.toISOString().split('T')[0],
+                run: String(t.getUTCHours()).padStart(2, '0'),
+                initTime: t.getTime()
+            });
+        }
+        t.setUTCHours(t.getUTCHours() - 1);
+    }
+    return runs;
+}
+
+// Called by fetchAndCache with every NOAA result; older runs than the window aren't kept
+function rememberRunFetch(station, run, date, memberCount, complete) {
+    if (!getRecentRuns(RUN_PROBE_COUNT).some(r => r.date === date && r.run === run)) return;
+    runAvailability.set(`${station}_${date}_${run}`, {
+        available: complete,
+        memberCount,
+        checkedAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Whether a run is complete, without fetching anything
+ * @param {Set<string>} archived - `${date}_${run}` of the station's archived runs
+ * @returns {{available: boolean|null, memberCount: number|null, checkedAt: string|null}} available is
+ *   null when no fetch has seen the run yet (or its incomplete result has gone stale)
+ */
+function checkRun(station, run, date, archived) {
+    const known = runAvailability.get(`${station}_${date}_${run}`);
+    const cached = VALID_PARAMS.some(param => cache.info(getCacheKey(station, run, param, date)));
+    if (cached || archived.has(`${date}_${run}`)) {
+        return { available: true, memberCount: known?.memberCount ?? null, checkedAt: known?.checkedAt ?? null };
+    }
+    if (known && !known.available && Date.now() - new Date(known.checkedAt) < RUN_RECHECK_INTERVAL) {
+        return known;
+    }
+    return { available: null, memberCount: null, checkedAt: null };
+}
+
+app.get('/api/runs/:station', (req, res) => {
+    const stationInfo = getStation(req.params.station);
+    if (!stationInfo) {
+        return res.status(400).json(unknownStationError(req.params.station));
+    }
+    const station = stationInfo.id;
+
+    const publishCutoff = Date.now() - RUN_PUBLISH_DELAY_HOURS * 60 * 60 * 1000;
+    const candidates = getRecentRuns(RUN_PROBE_COUNT);
+    const archived = new Set(archive.list(station).map(r => `${r.date}_${r.run}`));
+
+    const runs = candidates.map(({ date, run, initTime }) => {
+        // Too recent for NOAA to have published anything
+        if (initTime > publishCutoff) {
+            return { date, run, available: false, memberCount: 0, checkedAt: null, pending: true };
+        }
+        return { date, run, ...checkRun(station, run, date, archived) };
+    });
+
+    // Forget runs that have aged out of the window
+    const current = new Set(candidates.map(c => `${station}_${c.date}_${c.run}`));
+    for (const key of runAvailability.keys()) {
+        if (key.startsWith(`${station}_`) && !current.has(key)) {
+            runAvailability.delete(key);
+        }
+    }
+
+    const latest = runs.find(r => r.available) || null;
+    res.json({
+        station,
+        latest: latest ? { date: latest.date, run: latest.run } : null,
+        runs
+    });
+});
+
+// ============ Alerts ============
+// Threshold rules evaluated whenever a complete run is cached, delivered to webhooks once per rule and run
+const ALERTS_FILE = path.join(DATA_DIR, 'alerts.json');
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/$/, '');
+// Hosts whose Host header may be echoed into links when PUBLIC_URL is unset
+const ALLOWED_HOSTS = (process.env.ALLOWED_HOSTS || 'localhost,127.0.0.1,[::1]')
+    .split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+const alerts = createAlertStore({ file: ALERTS_FILE, paramTypes: PARAM_TYPES, getStation });
+
+/**
+ * Link to a run in the viewer - null unless PUBLIC_URL is set
+ */
+function getShareUrl(station, run, date) {
+    if (!PUBLIC_URL) return null;
+    return `${PUBLIC_URL}/?${new URLSearchParams({ station, run, date }).toString()}`;
+}
+
+/**
+ * Base for links in responses - PUBLIC_URL, else the request's own host when it is
+ * in ALLOWED_HOSTS. Any other Host header is client-supplied, so links stay
+ * root-relative ('') rather than pointing wherever the client says.
+ */
+function getBaseUrl(req) {
+    if (PUBLIC_URL) return PUBLIC_URL;
+    const host = String(req.get('host') || '').toLowerCase();
+    return ALLOWED_HOSTS.includes(host.replace(/:\d+$/, '')) ? `${req.protocol}://${host}` : '';
+}
+
+/**
+ * Check alert rules and push subscriptions against a newly cached param
+ */
+function notifyNewRun(station, run, param, date, data) {
+    const byTime = valuesByTime(data);
+    const stats = computeStats(data).all;
+    const target = { station, date, run, param, url: getShareUrl(station, run, date) };
+
+    alerts.evaluate(target, byTime, stats)
+        .catch(err => console.error(`[ALERTS] Evaluation failed for ${station}/${run}/${param}:`, err.message));
+    notifySubscribers(target, byTime, stats)
+        .catch(err => console.error(`[PUSH] Notification failed for ${station}/${run}/${param}:`, err.message));
+}
+
+app.get('/api/admin/alerts', requireAdmin, (req, res) => {
+    res.json({ rules: alerts.list(), history: alerts.history() });
+});
+
+// Body: { name, station, param, metric, operator, threshold, probability, webhooks, enabled }
+app.post('/api/admin/alerts', requireAdmin, (req, res) => {
+    try {
+        const rule = alerts.create(req.body || {});
+        console.log(`[ADMIN] Alert rule added: ${rule.description}`);
+        audit(req, 'alert.create', { target: rule.id, details: { rule: rule.description, webhooks: rule.webhooks.length } });
+        res.status(201).json(rule);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.put('/api/admin/alerts/:id', requireAdmin, (req, res) => {
+    try {
+        const before = alerts.get(req.params.id);
+        const rule = alerts.update(req.params.id, req.body || {});
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        console.log(`[ADMIN] Alert rule updated: ${rule.description}`);
+        audit(req, 'alert.update', {
+            target: rule.id,
+            details: { from: before.description, to: rule.description, enabled: rule.enabled, webhooks: rule.webhooks.length }
+        });
+        res.json(rule);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/admin/alerts/:id', requireAdmin, (req, res) => {
+    const rule = alerts.get(req.params.id);
+    if (!alerts.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    console.log(`[ADMIN] Alert rule deleted: ${req.params.id}`);
+    audit(req, 'alert.delete', { target: req.params.id, details: { rule: rule.description } });
+    res.json({ deleted: req.params.id });
+});
+
+// Send a sample payload to a rule's webhooks
+app.post('/api/admin/alerts/:id/test', requireAdmin, async (req, res) => {
+    const deliveries = await alerts.test(req.params.id);
+    if (!deliveries) {
+        return res.status(404).json({ error: 'Alert rule not found' });
+    }
+    res.json({ deliveries });
+});
+
+// ============ Forecast Feed ============
+const FEED_ENTRIES = 20;
+const FEED_PARAMS = ['Total-SNO', 'Total-QPF'];
+
+/**
+ * Complete runs with a snow or precip total for a station, from cache and archive, newest first
+ */
+function listSummaryRuns(station) {
+    const runs = new Map();
+    for (const key of cache.keys()) {
+        const entry = parseCacheKey(key);
+        // Skip keys previousRun() couldn't date
+        if (!DATE_PATTERN.test(entry.date) || !VALID_RUNS.includes(entry.run)) continue;
+        if (entry.station === station && FEED_PARAMS.includes(entry.param)) {
+            runs.set(`${entry.date}_${entry.run}`, { date: entry.date, run: entry.run });
+        }
+    }
+    for (const { date, run, params } of archive.list(station)) {
+        if (params.some(p => FEED_PARAMS.includes(p))) {
+            runs.set(`${date}_${run}`, { date, run });
+        }
+    }
+    return [...runs.keys()].sort().reverse().map(key => runs.get(key));
+}
+
+/**
+ * Snow and precip totals for a run, or null when neither is cached or archived
+ * @returns {Promise<{date, run, data: Object, updated: Date}|null>}
+ */
+async function loadSummaryRun(station, date, run) {
+    const data = {};
+    let updated = null;
+    for (const param of FEED_PARAMS) {
+        const key = getCacheKey(station, run, param, date);
+        const cached = await getFromCache(key);
+        if (cached) {
+            data[param] = cached;
+            updated = getCachedAt(key) || updated;
+            continue;
+        }
+        const archived = await archive.get(station, date, run, param);
+        if (archived) {
+            data[param] = archived.data;
+            updated = updated || archived.archivedAt;
+        }
+    }
+    return Object.keys(data).length > 0 ? { date, run, data, updated: updated || new Date() } : null;
+}
+
+// The run six hours earlier (03Z rolls back to the previous day's 21Z)
+function previousRun(date, run) {
+    const init = new Date(`${date}T${run}:00:00Z`);
+    init.setUTCHours(init.getUTCHours() - 6);
+    return { date: init.toISOString().slice(0, 10), run: String(init.getUTCHours()).padStart(2, '0') };
+}
+
+app.get('/api/feed/:station.xml', async (req, res) => {
+    const info = getStation(req.params.station);
+    if (!info) {
+        return res.status(400).json(unknownStationError(req.params.station));
+    }
+
+    const base = getBaseUrl(req);
+    try {
+        const entries = [];
+        for (const { date, run } of listSummaryRuns(info.id).slice(0, FEED_ENTRIES)) {
+            const current = await loadSummaryRun(info.id, date, run);
+            if (!current) continue;
+            const before = previousRun(date, run);
+            const previous = await loadSummaryRun(info.id, before.date, before.run);
+            const { detail, text } = formatSummary(summarizeRun(current.data, previous));
+            entries.push({
+                id: `urn:sref-viewer:${info.id}:${date}_${run}`,
+                title: `${info.id} ${run}Z ${date}: ${detail}`,
+                url: `${base}/?${new URLSearchParams({ station: info.id, run, date }).toString()}`,
+                updated: current.updated,
+                summary: text
+            });
+        }
+
+        const xml = renderAtomFeed({
+            id: `urn:sref-viewer:${info.id}`,
+            title: `SREF forecasts for ${info.id} (${info.name})`,
+            selfUrl: `${base}/api/feed/${info.id}.xml`,
+            siteUrl: `${base}/?station=${info.id}`,
+            // Newest entry; a feed with no runs yet is dated now rather than 1970
+            updated: entries.length > 0
+                ? entries.reduce((latest, e) => (e.updated > latest ? e.updated : latest), entries[0].updated)
+                : new Date(),
+            entries
+        });
+
+        // Express adds an ETag and answers If-None-Match with a 304
+        res.set('Cache-Control', 'no-cache');
+        res.type('application/atom+xml').send(xml);
+    } catch (err) {
+        console.error(`[FEED] Failed to build feed for ${info.id}:`, err.message);
+        res.status(500).json({ error: 'Failed to build feed' });
+    }
+});
+
+// ============ Share Previews ============
+// Share links (/?station=&run=&date=) unfurl with the run's own summary and a
+// rendered card: nginx includes /api/og/meta into index.html's <head> via SSI.
+// Both only read the cache and archive - a page load never waits on NOAA.
+const OG_CACHE_MAX = 50;
+const ogImageCache = new Map(); // `${station}_${date}_${run}_${updated}` -> PNG
+
+/**
+ * Summary for a share link's run, or null when the run isn't cached or archived
+ */
+async function loadShareSummary(station, run, date) {
+    const current = await loadSummaryRun(station, date, run);
+    if (!current) return null;
+    const before = previousRun(date, run);
+    const previous = await loadSummaryRun(station, before.date, before.run);
+    return { current, summary: summarizeRun(current.data, previous) };
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+// <head> fragment for index.html: ?station=&run=&date= of the page being shared
+app.get('/api/og/meta', async (req, res) => {
+    const settings = loadSettings();
+    const base = getBaseUrl(req);
+    const info = getStation(req.query.station);
+    const { run, date } = req.query;
+
+    let tags = {
+        'og:title': settings.siteName,
+        'og:description': settings.siteDescription,
+        'og:image': settings.ogImage ? (base ? new URL(settings.ogImage, base).href : settings.ogImage) : null
+    };
+
+    if (info && VALID_RUNS.includes(run) && typeof date === 'string' && DATE_PATTERN.test(date)) {
+        // A failed cache or archive read leaves the site-level tags - never stall the page's <head>
+        try {
+            const share = await loadShareSummary(info.id, run, date);
+            const version = share ? `&v=${share.current.updated.getTime()}` : '';
+            tags = {
+                'og:title': `${info.id} ${run}Z ${date} - ${settings.siteName}`,
+                'og:description': share ? formatSummary(share.summary).text : `SREF ensemble plumes for ${info.name}`,
+                'og:image': `${base}/api/og/${info.id}/${run}.png?date=${date}${version}`,
+                'og:image:width': OG_IMAGE_SIZE.width,
+                'og:image:height': OG_IMAGE_SIZE.height,
+                'og:url': `${base}/?${new URLSearchParams({ station: info.id, run, date }).toString()}`
+            };
+        } catch (err) {
+            console.error(`[OG] Failed to load share summary for ${info.id} ${date} ${run}Z:`, err.message);
+        }
+    }
+
+    const html = Object.entries({ 'og:type': 'website', ...tags })
+        .filter(([, value]) => value)
+        .map(([property, value]) => `<meta property="${property}" content="${escapeHtml(value)}">`);
+    html.push(`<meta name="twitter:card" content="${tags['og:image'] ? 'summary_large_image' : 'summary'}">`);
+
+    res.set('Cache-Control', 'no-cache');
+    res.type('html').send(html.join('\n'));
+});
+
+app.get('/api/og/:station/:run.png', async (req, res) => {
+    const { run } = req.params;
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    const invalid = validateStationRun(req.params.station, run, date);
+    if (invalid) {
+        return res.status(400).json(invalid);
+    }
+    const info = getStation(req.params.station);
+
+    try {
+        const share = await loadShareSummary(info.id, run, date);
+        const cacheKey = `${info.id}_${date}_${run}_${share ? share.current.updated.getTime() : 'none'}`;
+        let png = ogImageCache.get(cacheKey);
+        if (!png) {
+            const summary = share?.summary;
+            const plumeParam = summary?.headline === 'Snow likely' ? 'Total-SNO' : 'Total-QPF';
+            png = renderOgImage({
+                heading: `${info.id} ${run}Z ${date}`,
+                subheading: info.name,
+                headline: summary ? (summary.range ? `${summary.headline} ${summary.range}` : summary.headline) : 'SREF ensemble plumes',
+                detail: summary ? [summary.confidence, summary.trend].filter(Boolean).join(', ') : '',
+                plume: share?.current.data[plumeParam] || share?.current.data['Total-QPF'] || null,
+                footer: 'SREF ensemble'
+            });
+            ogImageCache.set(cacheKey, png);
+            if (ogImageCache.size > OG_CACHE_MAX) {
+                ogImageCache.delete(ogImageCache.keys().next().value);
+            }
+        }
+
+        res.type('png');
+        sendRevalidatable(res, png, share ? share.current.updated : null);
+    } catch (err) {
+        console.error(`[OG] Failed to render preview for ${info.id} ${date} ${run}Z:`, err.message);
+        res.status(500).json({ error: 'Failed to render preview image' });
+    }
+});
+
+// ============ Push Notifications ============
+// Browsers subscribe with a station, param and threshold; a push is sent the first
+// time a newly cached run gives P(param >= threshold) >= probability
+const PUSH_FILE = path.join(DATA_DIR, 'push-subscriptions.json');
+const VAPID_FILE = path.join(DATA_DIR, 'vapid.json');
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@example.com';
+const MAX_PUSH_SUBSCRIPTIONS = 10000;
+const PUSH_NOTIFIED_KEPT = 60; // Runs remembered per subscription - more than the cache TTL holds (4 a day)
+
+/**
+ * VAPID keys from the environment, else from DATA_DIR (generated on first start)
+ */
+function loadVapidKeys() {
+    if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+        return { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+    }
+    try {
+        if (fs.existsSync(VAPID_FILE)) {
+            return JSON.parse(fs.readFileSync(VAPID_FILE, 'utf8'));
+        }
+    } catch (err) {
+        console.error('[PUSH] Failed to read VAPID keys:', err.message);
+    }
+    const keys = generateVapidKeys();
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(VAPID_FILE, JSON.stringify(keys, null, 2), { mode: 0o600 });
+    console.log('[PUSH] Generated VAPID keys');
+    return keys;
+}
+
+const pushSender = createPushSender({ ...loadVapidKeys(), subject: VAPID_SUBJECT });
+
+// endpoint -> { endpoint, keys, station, param, threshold, probability, createdAt, notified }
+const pushSubscriptions = new Map();
+
+function loadPushSubscriptions() {
+    try {
+        if (fs.existsSync(PUSH_FILE)) {
+            for (const sub of JSON.parse(fs.readFileSync(PUSH_FILE, 'utf8'))) {
+                pushSubscriptions.set(sub.endpoint, sub);
+            }
+        }
+    } catch (err) {
+        console.error('[PUSH] Failed to load subscriptions:', err.message);
+    }
+}
+
+function savePushSubscriptions() {
+    try {
+        fs.writeFileSync(`${PUSH_FILE}.tmp`, JSON.stringify([...pushSubscriptions.values()]));
+        fs.renameSync(`${PUSH_FILE}.tmp`, PUSH_FILE);
+    } catch (err) {
+        console.error('[PUSH] Failed to save subscriptions:', err.message);
+    }
+}
+
+loadPushSubscriptions();
+
+/**
+ * Push to every subscription whose threshold the new run crosses, once per run
+ */
+async function notifySubscribers(target, byTime, stats) {
+    const runKey = `${target.date}_${target.run}`;
+    const due = [];
+
+    for (const sub of pushSubscriptions.values()) {
+        if (sub.station !== target.station || sub.param !== target.param) continue;
+        if (sub.notified.includes(runKey)) continue;
+
+        const rule = { ...sub, metric: 'probability', operator: '>=' };
+        const hit = matchRule(rule, byTime, stats);
+        if (!hit) continue;
+
+        // Recorded before sending, so a run cached again (refetch, purge, eviction) isn't pushed twice
+        sub.notified = [...sub.notified, runKey].slice(-PUSH_NOTIFIED_KEPT);
+        due.push({ sub, rule, hit });
+    }
+    if (due.length === 0) return;
+    savePushSubscriptions();
+
+    let sent = 0;
+    let gone = 0;
+    await Promise.all(due.map(async ({ sub, rule, hit }) => {
+        const payload = {
+            title: `${target.station}: ${hit.value}% chance`,
+            body: `${describeRule(rule, PARAM_TYPES)} in the ${target.run}Z run`,
+            url: `/?${new URLSearchParams({ station: target.station, run: target.run, date: target.date }).toString()}`,
+            tag: `sref-${target.station}-${target.param}`
+        };
+        try {
+            await pushSender.send(sub, payload);
+            sent++;
+        } catch (err) {
+            if (err.gone) {
+                pushSubscriptions.delete(sub.endpoint);
+                gone++;
+            } else {
+                console.error('[PUSH] Send failed:', err.message);
+            }
+        }
+    }));
+
+    if (gone > 0) savePushSubscriptions();
+    console.log(`[PUSH] Notified ${sent}/${due.length} subscribers for ${target.station}/${runKey}/${target.param}`);
+}
+
+app.get('/api/push/key', (req, res) => {
+    res.json({ publicKey: pushSender.publicKey });
+});
+
+// Body: { subscription: PushSubscription JSON, station, param, threshold, probability }
+app.post('/api/push/subscribe', async (req, res) => {
+    const { subscription, station, param, threshold, probability } = req.body || {};
+
+    const ip = req.ip || req.connection.remoteAddress;
+    if (!checkApiRateLimit(ip)) {
+        return res.status(429).json({ error: 'Too many requests. Please slow down.' });
+    }
+
+    let checked;
+    try {
+        checked = await validateSubscription(subscription);
+    } catch (err) {
+        return res.status(400).json({ error: `Invalid push subscription: ${err.message}` });
+    }
+    const { endpoint, keys } = checked;
+    const info = getStation(station);
+    if (!info) {
+        return res.status(400).json(unknownStationError(station));
+    }
+    if (!VALID_PARAMS.includes(param)) {
+        return res.status(400).json({ error: 'Invalid parameter' });
+    }
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+        return res.status(400).json({ error: 'threshold must be a number' });
+    }
+    if (typeof probability !== 'number' || probability <= 0 || probability > 100) {
+        return res.status(400).json({ error: 'probability must be a percentage between 0 and 100' });
+    }
+
+    const existing = pushSubscriptions.get(endpoint);
+    if (!existing && pushSubscriptions.size >= MAX_PUSH_SUBSCRIPTIONS) {
+        return res.status(503).json({ error: 'Subscription limit reached' });
+    }
+
+    pushSubscriptions.set(endpoint, {
+        endpoint,
+        keys,
+        station: info.id,
+        param,
+        threshold,
+        probability,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        notified: existing?.notified || []
+    });
+    savePushSubscriptions();
+    console.log(`[PUSH] ${existing ? 'Updated' : 'New'} subscription for ${info.id}/${param}`);
+    res.status(existing ? 200 : 201).json({ station: info.id, param, threshold, probability });
+});
+
+app.post('/api/push/unsubscribe', (req, res) => {
+    // Subscriptions are stored under the normalized URL, as in subscribe
+    let endpoint;
+    try {
+        endpoint = new URL(req.body?.endpoint).href;
+    } catch {
+        return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (!pushSubscriptions.delete(endpoint)) {
+        return res.status(404).json({ error: 'Subscription not found' });
+    }
+    savePushSubscriptions();
+    res.json({ unsubscribed: true });
+});
+
+// ============ Verification ============
+// Scores archived runs against uploaded observations
+const OBSERVATIONS_DIR = path.join(DATA_DIR, 'observations');
+const observations = createObservationStore({ dir: OBSERVATIONS_DIR });
+
+// `${station}_${param}` -> { stamp, result }, recomputed when observations or the archive change
+const verificationMemo = new Map();
+
+/**
+ * Score every archived run of a param at a station against its observations
+ * @returns {Promise<{runs: number, leadTimes: number[], scores: Object[]}>}
+ */
+async function computeVerification(station, param) {
+    const observed = observations.get(station);
+    const runs = archive.list(station).filter(r => r.params.includes(param));
+    const stamp = `${observed?.updatedAt}_${runs.length}`;
+
+    const memoKey = `${station}_${param}`;
+    if (verificationMemo.get(memoKey)?.stamp === stamp) {
+        return verificationMemo.get(memoKey).result;
+    }
+
+    const scoreboard = createScoreboard();
+    let verifiedRuns = 0;
+    for (const { date, run } of observed ? runs : []) {
+        const archived = await archive.get(station, date, run, param);
+        if (!archived) continue;
+
+        const initTime = Date.parse(`${date}T${run}:00:00Z`);
+        const times = (archived.data['Mean'] || []).map(p => p.x);
+        const matched = observedForRun(param, observed.fields, times, initTime);
+        if (scoreRun(scoreboard, archived.data, matched, initTime) > 0) verifiedRuns++;
+    }
+
+    const result = { runs: verifiedRuns, ...scoreboard.result() };
+    verificationMemo.set(memoKey, { stamp, result });
+    return result;
+}
+
+// Upload observations - CSV body with a header row (time, temp, wind, qpf_3h, qpf_total, snow_3h, snow_total)
+app.post('/api/admin/observations/:station', requireAdmin,
+    express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), (req, res) => {
+        const info = getStation(req.params.station);
+        if (!info) {
+            return res.status(400).json(unknownStationError(req.params.station));
+        }
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ error: 'Send the CSV as a text/csv body' });
+        }
+
+        let parsed;
+        try {
+            parsed = parseObservationsCsv(req.body);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        const stored = observations.add(info.id, parsed.rows);
+        console.log(`[ADMIN] Imported ${parsed.rows.length} observation rows for ${info.id} (${parsed.skipped.length} skipped)`);
+        res.json({
+            station: info.id,
+            rows: parsed.rows.length,
+            values: stored,
+            fields: parsed.fields,
+            skipped: parsed.skipped.slice(0, 50)
+        });
+    });
+
+app.get('/api/admin/observations', requireAdmin, (req, res) => {
+    res.json({ stations: observations.summary() });
+});
+
+app.delete('/api/admin/observations/:station', requireAdmin, (req, res) => {
+    const info = getStation(req.params.station);
+    if (!info || !observations.remove(info.id)) {
+        return res.status(404).json({ error: 'No observations for this station' });
+    }
+    console.log(`[ADMIN] Deleted observations for ${info.id}`);
+    res.json({ deleted: info.id });
+});
+
+// Stations that have both observations and archived runs
+app.get('/api/verification', (req, res) => {
+    const archived = new Map(archive.summary().map(s => [s.station, s]));
+    const stations = observations.summary()
+        .filter(s => archived.has(s.station))
+        .map(s => ({
+            station: s.station,
+            archivedRuns: archived.get(s.station).runs,
+            observed: Object.keys(s.fields)
+        }));
+    res.json({ stations });
+});
+
+// Scores per forecaster (members, ARW, NMB, Mean), overall and by lead time in hours
+app.get('/api/verification/:station', async (req, res) => {
+    const info = getStation(req.params.station);
+    if (!info) {
+        return res.status(400).json(unknownStationError(req.params.station));
+    }
+    const param = req.query.param || '3hrly-TMP';
+    if (!VALID_PARAMS.includes(param)) {
+        return res.status(400).json({ error: 'Invalid parameter' });
+    }
+
+    try {
+        const result = await computeVerification(info.id, param);
+        res.json({ station: info.id, param, ...result });
+    } catch (err) {
+        console.error(`[VERIFY] ${info.id}/${param} failed:`, err.message);
+        res.status(500).json({ error: 'Verification failed' });
+    }
+});
+
 // ============ Start Server ============
 app.listen(PORT, () => {
     console.log(`SREF Proxy running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
     console.log(`Admin panel: http://localhost:${PORT}/admin`);
+
+    if (WARMER_ENABLED) {
+        scheduleWarmer(0);
+    }
 });
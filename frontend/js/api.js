@@ -16,7 +16,9 @@ import { CONFIG } from './config.js';
 export async function fetchSREFData(station, run, param, date) {
     const url = `${CONFIG.apiBase}/${station}/${run}/${param}?date=${date}`;
 
-    const response = await fetch(url);
+    // Revalidate with the server's ETag - unchanged data comes back as a 304
+    // and is served from the browser cache
+    const response = await fetch(url, { cache: 'no-cache' });
 
     if (!response.ok) {
         const error = await response.json().catch(() => ({}));
@@ -32,6 +34,171 @@ export async function fetchSREFData(station, run, param, date) {
     return data;
 }
 
+/**
+ * Fetch every parameter for a run in a single request
+ * @param {string} station - Airport code (JFK, LGA, EWR)
+ * @param {string} run - Model run time (03, 09, 15, 21)
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @param {string[]} [params] - Subset of parameters (defaults to all)
+ * @param {string[]} [include] - Extra products per param, e.g. ['exceedance', 'stats']
+ * @returns {Promise<Object>} Map of param -> { cache, memberCount, data, exceedance?, stats? } or { cache, error }
+ */
+export async function fetchSREFBundle(station, run, date, params = null, include = null) {
+    const query = new URLSearchParams({ date });
+    if (params) query.set('params', params.join(','));
+    if (include) query.set('include', include.join(','));
+    const url = `${CONFIG.apiBase}/${station}/${run}?${query.toString()}`;
+
+    const response = await fetch(url, { cache: 'no-cache' });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    const bundle = await response.json();
+
+    for (const [param, entry] of Object.entries(bundle.params)) {
+        console.log(`[${entry.cache}] ${station}/${run}/${param}`);
+    }
+
+    return bundle.params;
+}
+
+/**
+ * Fetch the station registry
+ * @returns {Promise<Object[]>} Stations with id, name, city, lat, lon, timeZone, region
+ */
+export async function fetchStations() {
+    const response = await fetch('/api/stations');
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const { stations } = await response.json();
+    return stations;
+}
+
+/**
+ * Fetch which recent runs have a complete member set for a station
+ * @param {string} station - Airport code (JFK, LGA, EWR)
+ * @returns {Promise<Object>} { latest: { date, run } | null, runs: [{ date, run, available, memberCount }] },
+ *   available null for runs the backend hasn't fetched yet
+ */
+export async function fetchRunAvailability(station) {
+    const response = await fetch(`/api/runs/${station}`);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch the archived runs for a station
+ * @param {string} station - Airport code (JFK, LGA, EWR)
+ * @returns {Promise<Object[]>} [{ date, run, params }], newest first
+ */
+export async function fetchArchive(station) {
+    const response = await fetch(`/api/archive/${station}`);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    const { runs } = await response.json();
+    return runs;
+}
+
+/**
+ * Fetch the stations that have both archived runs and observations
+ * @returns {Promise<Object[]>} [{ station, archivedRuns, observed }]
+ */
+export async function fetchVerificationStations() {
+    const response = await fetch('/api/verification');
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const { stations } = await response.json();
+    return stations;
+}
+
+/**
+ * Fetch verification scores for a station and parameter
+ * @param {string} station - Airport code (JFK, LGA, EWR)
+ * @param {string} param - Parameter name (Total-SNO, 3hrly-TMP, etc.)
+ * @returns {Promise<Object>} { runs, leadTimes, scores: [{ name, kind, overall, byLead }] }
+ */
+export async function fetchVerification(station, param) {
+    const response = await fetch(`/api/verification/${station}?param=${param}`);
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch the server's VAPID public key for push subscriptions
+ * @returns {Promise<string>} base64url public key
+ */
+export async function fetchPushKey() {
+    const response = await fetch('/api/push/key');
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const { publicKey } = await response.json();
+    return publicKey;
+}
+
+/**
+ * Register (or update) a push subscription with a threshold to watch
+ * @param {PushSubscription} subscription - From pushManager.subscribe()
+ * @param {Object} watch - { station, param, threshold, probability }
+ * @returns {Promise<Object>} The saved watch
+ */
+export async function savePushSubscription(subscription, watch) {
+    const response = await fetch('/api/push/subscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ subscription: subscription.toJSON(), ...watch })
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Remove a push subscription from the server
+ * @param {string} endpoint - PushSubscription endpoint
+ */
+export async function deletePushSubscription(endpoint) {
+    const response = await fetch('/api/push/unsubscribe', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint })
+    });
+
+    // Already gone on the server is fine
+    if (!response.ok && response.status !== 404) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+}
+
 /**
  * Check if snow is forecast (any member > 0.1")
  * @param {Object} snowData - Total snow data object
@@ -84,81 +251,6 @@ export function getEnsembleStats(data, useMax = false) {
     };
 }
 
-
-
-/**
- * Calculate percentile value from sorted array
- * @param {number[]} sortedArr - Sorted array of values
- * @param {number} percentile - Percentile (0-100)
- * @returns {number} Value at percentile
- */
-function percentile(sortedArr, p) {
-    const index = (p / 100) * (sortedArr.length - 1);
-    const lower = Math.floor(index);
-    const upper = Math.ceil(index);
-    if (lower === upper) return sortedArr[lower];
-    return sortedArr[lower] + (sortedArr[upper] - sortedArr[lower]) * (index - lower);
-}
-
-/**
- * Calculate percentile bands from ensemble data
- * Returns P10, P25, P75, P90 series aligned to common timestamps
- * @param {Object} data - Ensemble data object (member name -> [{x, y}])
- * @param {string} coreFilter - Optional: 'ARW', 'NMB', or null for all members
- * @returns {Object} Band data with p10, p25, p75, p90 arrays
- */
-export function getPercentileBands(data, coreFilter = null) {
-    if (!data) return null;
-
-    // Get all member data (exclude Mean, optionally filter by core)
-    const members = [];
-    for (const [label, points] of Object.entries(data)) {
-        if (label === 'Mean' || !points || points.length === 0) continue;
-
-        // Filter by core type if specified
-        if (coreFilter === 'ARW' && !label.startsWith('AR')) continue;
-        if (coreFilter === 'NMB' && !label.startsWith('MB')) continue;
-
-        members.push(points);
-    }
-
-    if (members.length === 0) return null;
-
-    // Use first member's timestamps as reference
-    const refTimestamps = members[0].map(p => p.x);
-
-    // For each timestamp, collect values from all members and calculate percentiles
-    const p10 = [];
-    const p25 = [];
-    const p75 = [];
-    const p90 = [];
-
-    for (let i = 0; i < refTimestamps.length; i++) {
-        const x = refTimestamps[i];
-        const values = [];
-
-        for (const memberPoints of members) {
-            // Find value at this timestamp (or closest)
-            const point = memberPoints[i];
-            if (point) {
-                values.push(point.y);
-            }
-        }
-
-        if (values.length === 0) continue;
-
-        // Sort for percentile calculation
-        values.sort((a, b) => a - b);
-
-        p10.push({ x, y: percentile(values, 10) });
-        p25.push({ x, y: percentile(values, 25) });
-        p75.push({ x, y: percentile(values, 75) });
-        p90.push({ x, y: percentile(values, 90) });
-    }
-
-    return { p10, p25, p75, p90 };
-}
-
 /**
  * Check backend health
  * @returns {Promise<Object>} Health status
@@ -3,8 +3,11 @@
  * Orchestrates UI, state management, and data loading
  */
 
-import { CONFIG, getLatestRun, getLatestRunWithDate, isMobile, toggleWindUnit, getWindUnit, convertWind } from './config.js';
-import { fetchSREFData, hasSnowForecast, getEnsembleStats } from './api.js';
+import { CONFIG, isMobile, toggleWindUnit, getWindUnit, convertWind } from './config.js';
+import {
+    fetchSREFBundle, fetchRunAvailability, fetchArchive, fetchStations, hasSnowForecast, getEnsembleStats,
+    fetchPushKey, savePushSubscription, deletePushSubscription
+} from './api.js';
 import { createChart, toggleCore, exportChartPng } from './charts.js';
 
 // ============ Application State ============
@@ -21,16 +24,23 @@ function getLocalDateString() {
 
 const state = {
     station: 'JFK',
+    stations: [], // Registry from /api/stations
+    defaultStations: CONFIG.stations, // Station buttons, from site settings
     date: getLocalDateString(),
     run: null, // Will be set by initializeRunSelection
+    runAvailability: [], // Recent runs from /api/runs, newest first
+    archive: [], // Archived runs for the station from /api/archive, newest first
     data: {},
+    exceedance: {}, // param -> [{ threshold, points }] from the backend
+    stats: {}, // param -> { all, ARW, NMB } percentile/mean series from the backend
     hasSnow: false,
     currentView: { snow: 'total', precip: 'total' },
     isLoading: false,
     // Run comparison feature
     previousRuns: {}, // { '03': { param: data }, '09': { param: data }, ... }
     visibleRuns: { '03': true, '09': true, '15': true, '21': true }, // All checked by default
-    // Chart display mode: 'spaghetti' (individual lines) or 'bands' (confidence bands)
+    // Chart display mode: 'spaghetti' (individual lines), 'bands' (confidence bands),
+    // 'both', or 'exceedance' (probability of exceeding thresholds)
     chartViewMode: localStorage.getItem('sref-chart-view-mode') || 'spaghetti',
 };
 
@@ -48,11 +58,14 @@ const elements = {
     mainContent: null,
     stationBtns: null,
     customStation: null,
+    stationList: null,
     dateInput: null,
+    archiveSelect: null,
     runSelect: null,
     timeDisplay: null,
     reloadBtn: null,
     helpBtn: null,
+    notifyBtn: null,
     weatherSummary: null,
     status: null,
     lastUpdate: null
@@ -65,11 +78,14 @@ async function init() {
     elements.mainContent = document.getElementById('mainContent');
     elements.stationBtns = document.getElementById('stationBtns');
     elements.customStation = document.getElementById('customStation');
+    elements.stationList = document.getElementById('stationList');
     elements.dateInput = document.getElementById('dateInput');
+    elements.archiveSelect = document.getElementById('archiveSelect');
     elements.runSelect = document.getElementById('runSelect');
     elements.timeDisplay = document.getElementById('timeDisplay');
     elements.reloadBtn = document.getElementById('reloadBtn');
     elements.helpBtn = document.getElementById('helpBtn');
+    elements.notifyBtn = document.getElementById('notifyBtn');
     elements.weatherSummary = document.getElementById('weatherSummary');
     elements.status = document.getElementById('status');
     elements.lastUpdate = document.getElementById('lastUpdate');
@@ -87,6 +103,8 @@ async function init() {
     if (urlStation) state.station = urlStation.toUpperCase();
     if (urlRun && ['03', '09', '15', '21'].includes(urlRun)) state.run = urlRun;
     if (urlDate && /^\d{4}-\d{2}-\d{2}$/.test(urlDate)) state.date = urlDate;
+    // Share, feed, push and archive links name a run - open that one, not the latest
+    const linkedRun = Boolean(urlRun && urlDate && state.run === urlRun && state.date === urlDate);
 
     // If no URL station, try localStorage (second priority)  
     if (!urlStation) {
@@ -102,9 +120,6 @@ async function init() {
 
     // Update UI to reflect state
     elements.dateInput.value = state.date;
-    document.querySelectorAll('#stationBtns button').forEach(b => {
-        b.classList.toggle('active', b.dataset.val === state.station);
-    });
 
     // Update time display
     updateTimeDisplay();
@@ -113,16 +128,26 @@ async function init() {
     // Event listeners
     elements.stationBtns.addEventListener('click', handleStationClick);
     elements.dateInput.addEventListener('change', handleDateChange);
+    elements.archiveSelect.addEventListener('change', handleArchiveChange);
     elements.runSelect.addEventListener('change', handleRunChange);
     elements.reloadBtn.addEventListener('click', () => loadAllCharts());
     elements.helpBtn.addEventListener('click', showHelpModal);
 
+    // Push notifications need a service worker and the Push API
+    if ('serviceWorker' in navigator && 'PushManager' in window) {
+        elements.notifyBtn.hidden = false;
+        elements.notifyBtn.addEventListener('click', showNotifyModal);
+    }
+
     // Custom station input
     elements.customStation.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
             handleCustomStation();
         }
     });
+    elements.customStation.addEventListener('input', () => {
+        elements.customStation.classList.remove('invalid');
+    });
 
     // Custom station Go button
     const customStationBtn = document.getElementById('customStationBtn');
@@ -164,11 +189,12 @@ async function init() {
         }, 250);
     });
 
-    // Load site settings from admin panel
-    await loadSiteSettings();
+    // Load site settings from admin panel and the station registry
+    await Promise.all([loadSiteSettings(), loadStations()]);
+    renderStationButtons();
 
     // Initialize run selection and load data
-    initializeRunSelection();
+    initializeRunSelection(linkedRun);
 }
 
 // ============ Site Settings ============
@@ -191,6 +217,10 @@ async function loadSiteSettings() {
             console.log('[SETTINGS] Applied site name:', settings.siteName);
         }
 
+        if (Array.isArray(settings.defaultStations) && settings.defaultStations.length > 0) {
+            state.defaultStations = settings.defaultStations;
+        }
+
         // Update meta description
         if (settings.siteDescription) {
             let meta = document.querySelector('meta[name="description"]');
@@ -254,31 +284,141 @@ async function loadSiteSettings() {
     }
 }
 
-// ============ Run Selection ============
+// ============ Stations ============
+async function loadStations() {
+    try {
+        state.stations = await fetchStations();
+    } catch (err) {
+        console.error('[STATIONS] Could not load registry:', err);
+        state.stations = [];
+    }
+
+    // Normalize a saved or shared station (e.g. KJFK, jfk) to its registry id
+    const info = findStation(state.station);
+    if (info) state.station = info.id;
+}
+
 /**
- * Initialize run selection based on time logic.
- * - All runs are always selectable (older data should always exist)
- * - Auto-select the run that's most likely to have data based on current time
- * - Sets both the run AND the correct date (handles midnight rollover)
+ * Look up a station in the registry (accepts ICAO form, e.g. KBOS)
  */
-function initializeRunSelection() {
-    // All runs are always enabled - user can select any
-    const options = elements.runSelect.querySelectorAll('option');
-    options.forEach(opt => {
-        opt.disabled = false;
-        opt.textContent = `${opt.value}Z`;
+function findStation(code) {
+    const upper = (code || '').trim().toUpperCase();
+    const stripped = upper.length === 4 && upper.startsWith('K') ? upper.slice(1) : upper;
+    return state.stations.find(s => s.id === upper) ||
+        state.stations.find(s => s.id === stripped) ||
+        null;
+}
+
+/**
+ * Build station buttons from the default stations, and the
+ * custom station autocomplete list from the full registry
+ */
+function renderStationButtons() {
+    elements.stationBtns.querySelectorAll('button[data-val]').forEach(b => b.remove());
+
+    const buttons = state.defaultStations.map(id => {
+        const info = findStation(id);
+        const title = info ? `${info.name} - ${info.city}` : id;
+        return `<button data-val="${id}" title="${title}">${id}</button>`;
+    }).join('');
+    elements.customStation.insertAdjacentHTML('beforebegin', buttons);
+
+    document.querySelectorAll('#stationBtns button[data-val]').forEach(b => {
+        b.classList.toggle('active', b.dataset.val === state.station);
     });
 
-    // Auto-select the most likely available run AND correct date
-    const { run, date } = getLatestRunWithDate();
-    state.run = run;
-    state.date = date;
-    elements.runSelect.value = run;
-    elements.dateInput.value = date;
+    elements.stationList.innerHTML = state.stations
+        .map(s => `<option value="${s.id}">${s.name} - ${s.city}</option>`)
+        .join('');
+}
+
+// ============ Run Selection ============
+/**
+ * Initialize run selection from the backend's run availability.
+ * - Auto-selects the latest run that has a complete member set (else the newest
+ *   one not fetched yet), with its date, unless the URL named a run (share, feed,
+ *   push and archive links)
+ * - Disables runs that have no data for the selected date
+ * @param {boolean} linkedRun - Keep the run and date from the URL
+ */
+async function initializeRunSelection(linkedRun = false) {
+    await Promise.all([refreshRunAvailability(), refreshArchive()]);
+
+    const latest = getLatestAvailableRun();
+    if (latest && !linkedRun) {
+        state.run = latest.run;
+        state.date = latest.date;
+    } else {
+        state.run = state.run || elements.runSelect.value;
+    }
+    elements.runSelect.value = state.run;
+    elements.dateInput.value = state.date;
+    updateRunOptions();
 
     loadAllCharts();
 }
 
+async function refreshRunAvailability() {
+    try {
+        const availability = await fetchRunAvailability(state.station);
+        state.runAvailability = availability.runs;
+    } catch (err) {
+        console.error('[RUN] Availability check failed:', err);
+        state.runAvailability = [];
+    }
+}
+
+async function refreshArchive() {
+    try {
+        state.archive = await fetchArchive(state.station);
+    } catch (err) {
+        console.error('[ARCHIVE] Listing failed:', err);
+        state.archive = [];
+    }
+    renderArchiveOptions();
+}
+
+/**
+ * Fill the archive menu with the station's archived runs (hidden when there are none)
+ */
+function renderArchiveOptions() {
+    elements.archiveSelect.hidden = state.archive.length === 0;
+    elements.archiveSelect.innerHTML = '<option value="">Archive</option>' + state.archive
+        .map(r => `<option value="${r.date}_${r.run}">${r.date} ${r.run}Z</option>`)
+        .join('');
+    syncArchiveSelect();
+}
+
+// Show the current date/run in the archive menu when it is an archived run
+function syncArchiveSelect() {
+    const key = `${state.date}_${state.run}`;
+    const archived = state.archive.some(r => `${r.date}_${r.run}` === key);
+    elements.archiveSelect.value = archived ? key : '';
+}
+
+// The newest complete run, else the newest published run nobody has fetched yet
+function getLatestAvailableRun() {
+    return state.runAvailability.find(r => r.available) ||
+        state.runAvailability.find(r => r.available === null) || null;
+}
+
+/**
+ * Disable run options known to have no data for the selected date.
+ * Runs outside the probe window (older dates) are left enabled, and
+ * archived runs are always available.
+ */
+function updateRunOptions() {
+    const options = elements.runSelect.querySelectorAll('option');
+    options.forEach(opt => {
+        const archived = state.archive.some(r => r.date === state.date && r.run === opt.value);
+        const entry = state.runAvailability.find(r => r.date === state.date && r.run === opt.value);
+        const unavailable = !archived && entry?.available === false;
+        opt.disabled = unavailable;
+        opt.textContent = unavailable ? `${opt.value}Z (n/a)` : `${opt.value}Z`;
+    });
+    syncArchiveSelect();
+}
+
 // ============ Event Handlers ============
 function handleStationClick(e) {
     if (!e.target.dataset.val || state.isLoading) return;
@@ -288,11 +428,13 @@ function handleStationClick(e) {
     state.station = e.target.dataset.val;
     localStorage.setItem('sref-last-station', state.station);
     updateShareUrl();
+    Promise.all([refreshRunAvailability(), refreshArchive()]).then(updateRunOptions);
     loadAllCharts();
 }
 
 function handleDateChange(e) {
     state.date = e.target.value;
+    updateRunOptions();
     updateShareUrl();
     loadAllCharts();
 }
@@ -300,6 +442,22 @@ function handleDateChange(e) {
 function handleRunChange(e) {
     if (state.isLoading) return;
     state.run = e.target.value;
+    syncArchiveSelect();
+    updateShareUrl();
+    loadAllCharts();
+}
+
+function handleArchiveChange(e) {
+    if (!e.target.value || state.isLoading) {
+        syncArchiveSelect();
+        return;
+    }
+    const [date, run] = e.target.value.split('_');
+    state.date = date;
+    state.run = run;
+    elements.dateInput.value = date;
+    elements.runSelect.value = run;
+    updateRunOptions();
     updateShareUrl();
     loadAllCharts();
 }
@@ -338,6 +496,13 @@ function updateShareUrl() {
 
     const newUrl = `${window.location.pathname}?${params.toString()}`;
     window.history.replaceState({}, '', newUrl);
+
+    // Point feed readers at the current station's feed
+    const feedLink = document.getElementById('feedLink');
+    if (feedLink) {
+        feedLink.href = `/api/feed/${state.station}.xml`;
+        feedLink.title = `SREF forecasts for ${state.station}`;
+    }
 }
 
 // ============ Layout Building ============
@@ -427,6 +592,7 @@ function buildLayout() {
                                     <span class="summary-value ${info.type}" id="spread-${param}">--</span>
                                 </div>
                                 <button class="download-btn" data-param="${param}" title="Download as PNG">⬇ Save</button>
+                                <button class="download-btn embed-btn" data-param="${param}" title="Embed this chart in another page">&lt;/&gt; Embed</button>
                             </div>
                         </div>
                     `;
@@ -470,13 +636,18 @@ function attachEventHandlers() {
     });
 
     // Download button handlers
-    document.querySelectorAll('.download-btn').forEach(btn => {
+    document.querySelectorAll('.download-btn:not(.embed-btn)').forEach(btn => {
         btn.addEventListener('click', () => {
             const param = btn.dataset.param;
             exportChartPng(param, state.station, state.run, state.date);
         });
     });
 
+    // Embed code generator
+    document.querySelectorAll('.embed-btn').forEach(btn => {
+        btn.addEventListener('click', () => showEmbedModal(btn.dataset.param));
+    });
+
     // Wind unit toggle handler
     const windUnitBtn = document.getElementById('wind-unit-btn');
     if (windUnitBtn) {
@@ -487,7 +658,8 @@ function attachEventHandlers() {
             if (unitLabel) unitLabel.textContent = newUnit;
             // Rebuild the wind chart with new unit
             if (state.data['3h-10mWND']) {
-                createChart('3h-10mWND', state.data['3h-10mWND']);
+                createChart('3h-10mWND', state.data['3h-10mWND'], getOverlayData('3h-10mWND'),
+                    state.chartViewMode, state.exceedance['3h-10mWND'], state.stats['3h-10mWND']);
                 updateSummary('3h-10mWND', state.data['3h-10mWND']);
             }
         });
@@ -497,38 +669,35 @@ function attachEventHandlers() {
 function rebuildCharts() {
     buildLayout();
     for (const [param, data] of Object.entries(state.data)) {
-        createChart(param, data, getOverlayData(param), state.chartViewMode);
+        createChart(param, data, getOverlayData(param), state.chartViewMode, state.exceedance[param], state.stats[param]);
         document.getElementById(`loading-${param}`)?.classList.add('hidden');
         updateSummary(param, data);
     }
 }
 
 // ============ Data Loading ============
-async function loadChart(param) {
+/**
+ * Render one param from a bundle entry ({ data } or { error })
+ */
+function renderChart(param, entry) {
     const loading = document.getElementById(`loading-${param}`);
     if (!loading) return null;
 
-    loading.textContent = 'Loading...';
-    loading.classList.remove('hidden', 'error');
-
-    try {
-        const data = await fetchSREFData(state.station, state.run, param, state.date);
-
-        // Check if we got actual data
-        if (!data || Object.keys(data).length === 0) {
-            throw new Error('No data available');
-        }
-
-        state.data[param] = data;
-        createChart(param, data, getOverlayData(param), state.chartViewMode);
-        loading.classList.add('hidden');
-        updateSummary(param, data);
-        return data;
-    } catch (err) {
-        console.error(`Failed to load ${param}:`, err);
-        loading.innerHTML = `<span class="error">No data</span><br><small style="color:#666">${err.message}</small>`;
+    const data = entry?.data;
+    if (!data || Object.keys(data).length === 0) {
+        const message = entry?.error || 'No data available';
+        console.error(`Failed to load ${param}:`, message);
+        loading.innerHTML = `<span class="error">No data</span><br><small style="color:#666">${message}</small>`;
         return null;
     }
+
+    state.data[param] = data;
+    state.exceedance[param] = entry.exceedance || null;
+    state.stats[param] = entry.stats || null;
+    createChart(param, data, getOverlayData(param), state.chartViewMode, state.exceedance[param], state.stats[param]);
+    loading.classList.add('hidden');
+    updateSummary(param, data);
+    return data;
 }
 
 function updateSummary(param, data) {
@@ -571,41 +740,36 @@ async function loadAllCharts() {
     elements.status.textContent = 'Loading...';
     elements.reloadBtn.disabled = true;
     state.data = {};
+    state.exceedance = {};
+    state.stats = {};
 
+    // One round trip for every param in this run
+    let bundle = {};
     try {
-        // Check for snow first
-        const snowData = await fetchSREFData(state.station, state.run, 'Total-SNO', state.date);
-        state.data['Total-SNO'] = snowData;
-        state.hasSnow = hasSnowForecast(snowData);
-
-        // Update title (use site name from settings if available)
-        const baseName = state.siteNameBase || 'SREF Ensemble Plumes';
-        elements.pageTitle.innerHTML = state.hasSnow
-            ? `${baseName} <span class="snow-alert">SNOW</span>`
-            : baseName;
-
+        bundle = await fetchSREFBundle(state.station, state.run, state.date, CONFIG.snowOrder, ['exceedance', 'stats']);
     } catch (err) {
-        console.log('Snow check failed:', err);
-        state.hasSnow = false;
+        console.error('Failed to load run:', err);
     }
 
+    state.hasSnow = hasSnowForecast(bundle['Total-SNO']?.data);
+
+    // Update title (use site name from settings if available)
+    const baseName = state.siteNameBase || 'SREF Ensemble Plumes';
+    elements.pageTitle.innerHTML = state.hasSnow
+        ? `${baseName} <span class="snow-alert">SNOW</span>`
+        : baseName;
+
     // Build layout based on snow status
     buildLayout();
 
     // Render comparison controls
     renderComparisonControls();
 
-    // Load all charts
+    // Render all charts
     const paramsToLoad = state.hasSnow ? CONFIG.snowOrder : CONFIG.defaultOrder;
 
     for (const param of paramsToLoad) {
-        if (param === 'Total-SNO' && state.data['Total-SNO']) {
-            createChart(param, state.data['Total-SNO'], getOverlayData('Total-SNO'), state.chartViewMode);
-            document.getElementById(`loading-${param}`)?.classList.add('hidden');
-            updateSummary(param, state.data['Total-SNO']);
-        } else {
-            await loadChart(param);
-        }
+        renderChart(param, bundle[param] || { error: 'Failed to load run' });
     }
 
     const now = new Date();
@@ -676,6 +840,7 @@ function renderComparisonControls() {
             <button class="mode-btn ${state.chartViewMode === 'spaghetti' ? 'active' : ''}" data-mode="spaghetti" title="Show individual ensemble member lines">Lines</button>
             <button class="mode-btn ${state.chartViewMode === 'bands' ? 'active' : ''}" data-mode="bands" title="Show confidence bands (P10-P90)">Bands</button>
             <button class="mode-btn ${state.chartViewMode === 'both' ? 'active' : ''}" data-mode="both" title="Show both lines and bands">Both</button>
+            <button class="mode-btn ${state.chartViewMode === 'exceedance' ? 'active' : ''}" data-mode="exceedance" title="Show probability of exceeding thresholds">Prob</button>
         </div>
     `;
 
@@ -708,54 +873,12 @@ function renderComparisonControls() {
 
 // ============ Previous Runs for Trend Comparison ============
 /**
- * Get the date to use for a given run.
- * If the run hasn't completed yet today, use yesterday's date.
- * Completion times (~5h20m after run):
- *   03Z ready by ~08:20 UTC
- *   09Z ready by ~14:20 UTC
- *   15Z ready by ~20:20 UTC
- *   21Z ready by ~02:20 UTC (next day)
+ * Get the date to use for a given run - the most recent date
+ * the backend reports as complete, or the selected date if unknown.
  */
 function getDateForRun(run) {
-    const now = new Date();
-    const utcHour = now.getUTCHours();
-    const utcMinute = now.getUTCMinutes();
-    const utcTime = utcHour + utcMinute / 60;
-
-    // Completion times in decimal UTC hours
-    const completionTimes = {
-        '03': 8.33,   // 08:20 UTC
-        '09': 14.33,  // 14:20 UTC
-        '15': 20.33,  // 20:20 UTC
-        '21': 2.33    // 02:20 UTC (next day, special handling)
-    };
-
-    const runCompleteTime = completionTimes[run];
-
-    // 21Z is special - it completes after midnight UTC
-    // If we're before 02:20 UTC, 21Z from TODAY hasn't completed, use yesterday
-    // If we're after 02:20 UTC but 21Z is still "future", it means today's 21Z hasn't run
-    let needsYesterday;
-    if (run === '21') {
-        // 21Z completes at 02:20 UTC next day
-        // Use today's date only if utcTime >= 2.33 (meaning yesterday's 21Z completed)
-        // But we want yesterday's 21Z data, not today's (which hasn't run)
-        needsYesterday = utcTime < 2.33 || utcTime >= 21; // Before 02:20 or after 21:00
-    } else {
-        // For other runs, use yesterday if current time < completion time
-        needsYesterday = utcTime < runCompleteTime;
-    }
-
-    if (needsYesterday) {
-        const yesterday = new Date(now);
-        yesterday.setDate(yesterday.getDate() - 1);
-        const year = yesterday.getFullYear();
-        const month = String(yesterday.getMonth() + 1).padStart(2, '0');
-        const day = String(yesterday.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
-    }
-
-    return state.date;
+    const latest = state.runAvailability.find(r => r.run === run && r.available);
+    return latest ? latest.date : state.date;
 }
 
 async function fetchPreviousRuns() {
@@ -773,15 +896,15 @@ async function fetchPreviousRuns() {
         state.previousRuns[run] = {};
         const dateForRun = getDateForRun(run);
 
-        for (const param of paramsToFetch) {
-            try {
-                const data = await fetchSREFData(state.station, run, param, dateForRun);
-                if (data && Object.keys(data).length > 0) {
-                    state.previousRuns[run][param] = data;
+        try {
+            const bundle = await fetchSREFBundle(state.station, run, dateForRun, paramsToFetch);
+            for (const [param, entry] of Object.entries(bundle)) {
+                if (entry.data && Object.keys(entry.data).length > 0) {
+                    state.previousRuns[run][param] = entry.data;
                 }
-            } catch (err) {
-                // Silent fail - run/param combo not available
             }
+        } catch (err) {
+            // Silent fail - run not available
         }
 
         const loadedCount = Object.keys(state.previousRuns[run]).length;
@@ -847,19 +970,31 @@ function handleCustomStation() {
         return;
     }
 
+    // Only stations in the registry have SREF plumes (skip check if it failed to load)
+    const info = findStation(input);
+    if (state.stations.length > 0 && !info) {
+        console.log('Unknown station:', input);
+        elements.customStation.classList.add('invalid');
+        elements.customStation.title = `Unknown station: ${input}`;
+        return;
+    }
+    const station = info ? info.id : input;
+
     // Update local storage and state
-    console.log('Switching to custom station:', input);
-    localStorage.setItem('sref-custom-station', input);
-    localStorage.setItem('sref-last-station', input);
+    console.log('Switching to custom station:', station);
+    localStorage.setItem('sref-custom-station', station);
+    localStorage.setItem('sref-last-station', station);
 
     // Update UI
+    elements.customStation.value = station;
     document.querySelectorAll('#stationBtns button').forEach(b => b.classList.remove('active'));
     // If the input matches a button, active it, otherwise just load
-    const existingBtn = document.querySelector(`#stationBtns button[data-val="${input}"]`);
+    const existingBtn = document.querySelector(`#stationBtns button[data-val="${station}"]`);
     if (existingBtn) existingBtn.classList.add('active');
 
-    state.station = input;
+    state.station = station;
     updateShareUrl();
+    Promise.all([refreshRunAvailability(), refreshArchive()]).then(updateRunOptions);
     loadAllCharts();
 }
 
@@ -965,6 +1100,204 @@ function showHelpModal() {
     }
 }
 
+// ============ Embed Code ============
+// Chart header, axis label and padding around the embed's chart body
+const EMBED_CHROME_HEIGHT = 100;
+
+function showEmbedModal(param) {
+    document.getElementById('embedModal')?.remove();
+
+    const info = CONFIG.params[param];
+    const isWind = info.type === 'wind';
+    const modal = document.createElement('div');
+    modal.id = 'embedModal';
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal-content notify-form">
+            <h2>Embed ${info.name}</h2>
+            <p>Paste this into a dashboard or wiki page. It shows <span id="embedStation"></span> only and follows the latest run unless pinned.</p>
+            <label>Display
+                <select id="embedMode">
+                    <option value="spaghetti">Spaghetti</option>
+                    <option value="bands">Bands</option>
+                    <option value="both">Both</option>
+                    <option value="exceedance">Exceedance</option>
+                </select>
+            </label>
+            <label>Theme
+                <select id="embedTheme">
+                    <option value="">Auto</option>
+                    <option value="dark">Dark</option>
+                    <option value="light">Light</option>
+                </select>
+            </label>
+            ${isWind ? `
+                <label>Units
+                    <select id="embedUnits">
+                        <option value="kts">kts</option>
+                        <option value="mph">mph</option>
+                    </select>
+                </label>
+            ` : ''}
+            <label>Chart height (px) <input type="number" id="embedHeight" min="150" max="1200" step="10" value="300"></label>
+            <label>Pin to <span id="embedPinRun"></span> <input type="checkbox" id="embedPin"></label>
+            <textarea class="embed-code" id="embedCode" rows="4" readonly></textarea>
+            <button class="btn" id="embedCopy">Copy</button>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const field = id => modal.querySelector(`#${id}`);
+    // Station, run and date come from the URL - set as text, never markup
+    field('embedStation').textContent = state.station;
+    field('embedPinRun').textContent = `${state.run}Z ${state.date}`;
+    field('embedMode').value = state.chartViewMode;
+    if (isWind) field('embedUnits').value = getWindUnit();
+
+    const update = () => {
+        const height = Math.min(1200, Math.max(150, parseInt(field('embedHeight').value, 10) || 300));
+        const query = new URLSearchParams({ station: state.station, param, mode: field('embedMode').value });
+        if (field('embedTheme').value) query.set('theme', field('embedTheme').value);
+        if (isWind) query.set('units', field('embedUnits').value);
+        query.set('height', height);
+        if (field('embedPin').checked) {
+            query.set('run', state.run);
+            query.set('date', state.date);
+        }
+        const src = `${window.location.origin}/embed?${query.toString()}`.replace(/&/g, '&amp;');
+        field('embedCode').value = `<iframe src="${src}" width="100%" height="${height + EMBED_CHROME_HEIGHT}" ` +
+            `style="border:0" title="SREF ${state.station} ${info.name}" loading="lazy"></iframe>`;
+    };
+    modal.querySelectorAll('select, input').forEach(input => input.addEventListener('input', update));
+    update();
+
+    field('embedCopy').addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(field('embedCode').value);
+            field('embedCopy').textContent = 'Copied!';
+        } catch (err) {
+            field('embedCode').select();
+        }
+    });
+
+    // Close on backdrop click
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.remove();
+    });
+}
+
+// ============ Push Notifications ============
+// Params worth watching for a threshold crossing, with a sensible default threshold
+const NOTIFY_PARAMS = { 'Total-SNO': 4, 'Total-QPF': 1, '3h-10mWND': 30 };
+
+function loadNotifyPrefs() {
+    try {
+        return JSON.parse(localStorage.getItem('sref-notify')) || null;
+    } catch {
+        return null;
+    }
+}
+
+function urlBase64ToUint8Array(base64url) {
+    const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4))
+        .replace(/-/g, '+')
+        .replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+function showNotifyModal() {
+    if (document.getElementById('notifyModal')) return;
+
+    const prefs = loadNotifyPrefs();
+    const param = prefs?.param || 'Total-SNO';
+    const modal = document.createElement('div');
+    modal.id = 'notifyModal';
+    modal.className = 'modal-overlay';
+    modal.innerHTML = `
+        <div class="modal-content notify-form">
+            <h2>Notify Me</h2>
+            <p>Get a notification when a new SREF run shows a good chance of crossing a threshold. One watch per browser.</p>
+            <label>Station <input type="text" id="notifyStation" maxlength="4"></label>
+            <label>Parameter
+                <select id="notifyParam">
+                    ${Object.keys(NOTIFY_PARAMS).map(p => `<option value="${p}">${CONFIG.params[p].name}</option>`).join('')}
+                </select>
+            </label>
+            <label>Threshold (<span id="notifyUnit"></span>) <input type="number" id="notifyThreshold" min="0" step="0.5"></label>
+            <label>Chance of reaching it (%) <input type="number" id="notifyProbability" min="1" max="100" step="5"></label>
+            <p class="notify-status" id="notifyStatus"></p>
+            <button class="btn" id="notifySubscribe">Subscribe</button>
+            <button class="btn" id="notifyUnsubscribe" ${prefs ? '' : 'hidden'}>Unsubscribe</button>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const paramSelect = modal.querySelector('#notifyParam');
+    const thresholdInput = modal.querySelector('#notifyThreshold');
+    const status = modal.querySelector('#notifyStatus');
+
+    // Station and saved prefs come from the URL and localStorage - set as values, never markup
+    modal.querySelector('#notifyStation').value = prefs?.station || state.station;
+    modal.querySelector('#notifyProbability').value = prefs?.probability ?? 50;
+    status.textContent = prefs ? `Watching ${prefs.station} ${prefs.param}.` : 'Not subscribed.';
+
+    const syncParam = (threshold) => {
+        modal.querySelector('#notifyUnit').textContent = CONFIG.params[paramSelect.value].unit;
+        thresholdInput.value = threshold ?? NOTIFY_PARAMS[paramSelect.value];
+    };
+    paramSelect.value = param;
+    syncParam(prefs?.threshold);
+    paramSelect.addEventListener('change', () => syncParam());
+
+    modal.querySelector('#notifySubscribe').addEventListener('click', async () => {
+        const watch = {
+            station: modal.querySelector('#notifyStation').value.trim().toUpperCase(),
+            param: paramSelect.value,
+            threshold: parseFloat(thresholdInput.value),
+            probability: parseFloat(modal.querySelector('#notifyProbability').value)
+        };
+        status.textContent = 'Subscribing...';
+        try {
+            if (await Notification.requestPermission() !== 'granted') {
+                throw new Error('Notifications are blocked for this site');
+            }
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription() ||
+                await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: urlBase64ToUint8Array(await fetchPushKey())
+                });
+            const saved = await savePushSubscription(subscription, watch);
+            localStorage.setItem('sref-notify', JSON.stringify(saved));
+            status.textContent = `Watching ${saved.station} ${saved.param}.`;
+            modal.querySelector('#notifyUnsubscribe').hidden = false;
+        } catch (err) {
+            status.textContent = `Failed: ${err.message}`;
+        }
+    });
+
+    modal.querySelector('#notifyUnsubscribe').addEventListener('click', async () => {
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            const subscription = await registration.pushManager.getSubscription();
+            if (subscription) {
+                await deletePushSubscription(subscription.endpoint);
+                await subscription.unsubscribe();
+            }
+            localStorage.removeItem('sref-notify');
+            status.textContent = 'Not subscribed.';
+            modal.querySelector('#notifyUnsubscribe').hidden = true;
+        } catch (err) {
+            status.textContent = `Failed: ${err.message}`;
+        }
+    });
+
+    // Close on backdrop click
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.remove();
+    });
+}
+
 // ============ Start Application ============
 document.addEventListener('DOMContentLoaded', init);
 
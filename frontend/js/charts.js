@@ -5,7 +5,6 @@
 console.log('Charts.js loaded (v3.2.0 - both mode)');
 
 import { CONFIG, isMobile, convertWind, getWindUnit } from './config.js';
-import { getPercentileBands } from './api.js';
 
 // Store chart instances for cleanup
 const chartInstances = {};
@@ -34,10 +33,22 @@ function getResponsiveOptions() {
     };
 }
 
+// 'light' or 'dark' when forced by the page (embeds); null follows the system setting
+let themeOverride = null;
+
+/**
+ * Force chart colors to a theme instead of the system preference
+ * @param {string|null} theme - 'light', 'dark', or null for auto
+ */
+export function setChartTheme(theme) {
+    themeOverride = theme === 'light' || theme === 'dark' ? theme : null;
+}
+
 /**
  * Check if light mode is active (explicitly check for light preference)
  */
 function isLightMode() {
+    if (themeOverride) return themeOverride === 'light';
     if (!window.matchMedia) return false;
     return window.matchMedia('(prefers-color-scheme: light)').matches;
 }
@@ -57,15 +68,20 @@ function getThemeColors() {
     };
 }
 
+// Exceedance line colors, lowest threshold first
+const EXCEEDANCE_COLORS = ['#51cf66', '#ffd43b', '#ff922b', '#ff6b6b', '#cc5de8', '#845ef7'];
+
 /**
  * Create or update a chart
  * @param {string} param - Parameter name
  * @param {Object} data - Ensemble data
  * @param {Array} overlayData - Array of { label, data, color } for overlays
- * @param {string} viewMode - 'spaghetti' (default) or 'bands' for confidence bands
+ * @param {string} viewMode - 'spaghetti' (default), 'bands', 'both', or 'exceedance'
+ * @param {Array} exceedance - [{ threshold, points }] from the backend, used in 'exceedance' mode
+ * @param {Object} stats - Per-core ensemble statistics from the backend, used for bands
  * @returns {Chart} Chart instance
  */
-export function createChart(param, data, overlayData = [], viewMode = 'spaghetti') {
+export function createChart(param, data, overlayData = [], viewMode = 'spaghetti', exceedance = null, stats = null) {
     const info = CONFIG.params[param];
     const responsive = getResponsiveOptions();
     const theme = getThemeColors();
@@ -74,6 +90,7 @@ export function createChart(param, data, overlayData = [], viewMode = 'spaghetti
     // Check if this is wind data - we may need to convert
     const isWind = info.type === 'wind';
     const windUnit = isWind ? getWindUnit() : null;
+    const isExceedance = viewMode === 'exceedance';
 
     // 1. Find the time range from main data to truncate overlays
     let minTime = Infinity, maxTime = -Infinity;
@@ -86,7 +103,8 @@ export function createChart(param, data, overlayData = [], viewMode = 'spaghetti
     }
 
     // 2. Add Overlay Datasets (Previous Runs) - TRUNCATED to main data range
-    if (overlayData && overlayData.length > 0) {
+    // (skipped in exceedance mode, where the y axis is a probability)
+    if (!isExceedance && overlayData && overlayData.length > 0) {
         for (const overlay of overlayData) {
             const points = overlay.data;
             if (!points || points.length === 0) continue;
@@ -115,11 +133,32 @@ export function createChart(param, data, overlayData = [], viewMode = 'spaghetti
     }
 
     // 3. Add main datasets based on view mode
+    // Probability of exceedance - one line per threshold
+    if (isExceedance && exceedance) {
+        exceedance.forEach((series, i) => {
+            const threshold = isWind ? convertWind(series.threshold) : series.threshold;
+            const digits = info.type === 'precip' ? 2 : 0;
+            datasets.push({
+                label: `≥ ${threshold.toFixed(digits)} ${isWind ? windUnit : info.unit}`,
+                data: series.points,
+                borderColor: EXCEEDANCE_COLORS[i % EXCEEDANCE_COLORS.length],
+                borderWidth: responsive.meanLineWidth - 1,
+                pointRadius: 0,
+                pointHitRadius: 20,
+                pointHoverRadius: responsive.pointHoverRadius,
+                tension: 0.3,
+                fill: false,
+                order: 1,
+                _threshold: series.threshold
+            });
+        });
+    }
+
     // Add confidence bands (for 'bands' or 'both' mode)
     if (viewMode === 'bands' || viewMode === 'both') {
         // Separate ARW and NMB bands
-        const arwBands = getPercentileBands(data, 'ARW');
-        const nmbBands = getPercentileBands(data, 'NMB');
+        const arwBands = stats?.ARW.p10.length ? stats.ARW : null;
+        const nmbBands = stats?.NMB.p10.length ? stats.NMB : null;
 
         // Convert wind data if needed
         const convertPoints = (points) => isWind
@@ -394,6 +433,7 @@ export function createChart(param, data, overlayData = [], viewMode = 'spaghetti
                         return true;
                     },
                     itemSort: (a, b) => {
+                        if (isExceedance) return a.dataset._threshold - b.dataset._threshold;
                         const aIsMean = a.dataset.label.includes('Mean');
                         const bIsMean = b.dataset.label.includes('Mean');
                         if (aIsMean && !bIsMean) return -1;
@@ -410,7 +450,9 @@ export function createChart(param, data, overlayData = [], viewMode = 'spaghetti
                                 timeZone: 'America/New_York'
                             }) + ' ET';
                         },
-                        label: (ctx) => ` ${ctx.dataset.label}: ${ctx.parsed.y.toFixed(info.type === 'wind' ? 0 : 2)} ${displayUnit}`
+                        label: (ctx) => isExceedance
+                            ? ` ${ctx.dataset.label}: ${ctx.parsed.y.toFixed(0)}%`
+                            : ` ${ctx.dataset.label}: ${ctx.parsed.y.toFixed(info.type === 'wind' ? 0 : 2)} ${displayUnit}`
                     }
                 }
             },
@@ -437,12 +479,15 @@ export function createChart(param, data, overlayData = [], viewMode = 'spaghetti
                     }
                 },
                 y: {
-                    beginAtZero: info.type !== 'temp',
+                    beginAtZero: isExceedance || info.type !== 'temp',
+                    min: isExceedance ? 0 : undefined,
+                    max: isExceedance ? 100 : undefined,
                     grid: { color: theme.gridColor },
                     ticks: {
                         color: theme.tickColor,
                         font: { size: responsive.tickFontSize },
                         callback: (v) => {
+                            if (isExceedance) return v.toFixed(0) + '%';
                             if (info.type === 'temp') return v.toFixed(0) + '°';
                             if (info.type === 'wind') return v.toFixed(0);
                             return v.toFixed(1);
@@ -0,0 +1,158 @@
+/**
+ * Embed widget
+ * A single plume card for iframes, e.g. /embed?station=EWR&param=Total-SNO&mode=bands
+ * Options: theme=light|dark, units=kts|mph (wind), height=<px>, and run + date to
+ * pin one run. Unpinned embeds follow the latest complete run.
+ */
+
+import { CONFIG, preferences, convertWind } from './config.js';
+import { fetchSREFBundle, fetchRunAvailability, fetchStations, getEnsembleStats } from './api.js';
+import { createChart, setChartTheme } from './charts.js';
+
+const REFRESH_INTERVAL = 10 * 60 * 1000; // How often to check for a newer run
+const VIEW_MODES = ['spaghetti', 'bands', 'both', 'exceedance'];
+
+const query = new URLSearchParams(window.location.search);
+
+const options = {
+    station: (query.get('station') || 'JFK').trim().toUpperCase(),
+    param: CONFIG.params[query.get('param')] ? query.get('param') : 'Total-SNO',
+    mode: VIEW_MODES.includes(query.get('mode')) ? query.get('mode') : 'spaghetti',
+    theme: ['light', 'dark'].includes(query.get('theme')) ? query.get('theme') : null,
+    units: ['kts', 'mph'].includes(query.get('units')) ? query.get('units') : 'kts',
+    height: Math.min(1200, Math.max(150, parseInt(query.get('height'), 10) || 300)),
+    run: CONFIG.modelRuns.includes(query.get('run')) ? query.get('run') : null,
+    date: /^\d{4}-\d{2}-\d{2}$/.test(query.get('date') || '') ? query.get('date') : null
+};
+const pinned = Boolean(options.run && options.date);
+
+// The run on screen, so a refresh only redraws when a newer one lands
+let shown = null;
+
+function renderCard() {
+    const info = CONFIG.params[options.param];
+    const unit = info.type === 'wind' ? options.units : info.unit;
+
+    document.getElementById('embed').innerHTML = `
+        <div class="chart-card">
+            <div class="chart-header">
+                <div class="chart-title-area">
+                    <div class="chart-title">${info.name}</div>
+                    <div class="chart-subtitle" id="embedRun"></div>
+                </div>
+                <a class="embed-link" id="embedLink" target="_blank" rel="noopener">SREF Viewer ↗</a>
+            </div>
+            <div class="chart-body" style="height: ${options.height}px">
+                <div class="loading" id="embedStatus">
+                    <div class="skeleton skeleton-chart"></div>
+                </div>
+                <canvas id="chart-${options.param}"></canvas>
+            </div>
+            <div class="axis-label" id="embedSummary">Forecast Time (Eastern)</div>
+        </div>
+    `;
+    document.getElementById('embedRun').textContent = `${options.station} · ${unit}`;
+}
+
+function showStatus(message) {
+    const status = document.getElementById('embedStatus');
+    status.classList.remove('hidden');
+    const error = document.createElement('span');
+    error.className = 'error';
+    error.textContent = message;
+    status.replaceChildren(error);
+}
+
+async function latestRun() {
+    if (pinned) return { run: options.run, date: options.date };
+    const availability = await fetchRunAvailability(options.station);
+    // Not fetched yet (available null) is worth a try - loading it tells the backend
+    return availability.runs.find(r => r.available) ||
+        availability.runs.find(r => r.available === null) || null;
+}
+
+async function load() {
+    let target;
+    try {
+        target = await latestRun();
+    } catch (err) {
+        if (!shown) showStatus(err.message);
+        return;
+    }
+    if (!target) {
+        if (!shown) showStatus('No complete run available yet');
+        return;
+    }
+    if (shown && shown.run === target.run && shown.date === target.date) return;
+
+    try {
+        const bundle = await fetchSREFBundle(options.station, target.run, target.date, [options.param], ['exceedance', 'stats']);
+        const entry = bundle[options.param];
+        if (!entry?.data || Object.keys(entry.data).length === 0) {
+            throw new Error(entry?.error || 'No data available');
+        }
+
+        createChart(options.param, entry.data, [], options.mode, entry.exceedance, entry.stats);
+        document.getElementById('embedStatus').classList.add('hidden');
+        shown = target;
+        updateLabels(entry.data);
+    } catch (err) {
+        console.error('[EMBED] Failed to load:', err);
+        if (!shown) showStatus(err.message);
+    }
+}
+
+function updateLabels(data) {
+    const info = CONFIG.params[options.param];
+    const isWind = info.type === 'wind';
+    const unit = isWind ? options.units : info.unit;
+    const { run, date } = shown;
+
+    document.getElementById('embedRun').textContent = `${options.station} · ${run}Z ${date} · ${unit}`;
+    document.getElementById('embedLink').href =
+        `/?${new URLSearchParams({ station: options.station, run, date }).toString()}`;
+
+    const stats = getEnsembleStats(data, !options.param.startsWith('Total'));
+    if (stats?.mean !== null && stats?.mean !== undefined) {
+        const value = isWind ? convertWind(stats.mean) : stats.mean;
+        const digits = info.type === 'temp' || isWind ? 0 : 2;
+        document.getElementById('embedSummary').textContent =
+            `Mean ${value.toFixed(digits)} ${unit} · Forecast Time (Eastern)`;
+    }
+}
+
+/**
+ * Swap the station from the query string for its registry id
+ * @returns {Promise<boolean>} false when the station is unknown or the registry can't be loaded
+ */
+async function resolveStation() {
+    try {
+        const stations = await fetchStations();
+        // ICAO ids (KJFK) are accepted like on the server
+        const match = stations.find(s => s.id === options.station || `K${s.id}` === options.station);
+        if (!match) {
+            showStatus('Unknown station');
+            return false;
+        }
+        options.station = match.id;
+        return true;
+    } catch (err) {
+        console.error('[EMBED] Failed to load stations:', err);
+        showStatus(err.message);
+        return false;
+    }
+}
+
+async function init() {
+    // Embed settings apply to this page only - not saved like the viewer's preferences
+    preferences.windUnit = options.units;
+    setChartTheme(options.theme);
+    if (options.theme) document.documentElement.dataset.theme = options.theme;
+
+    renderCard();
+    if (!await resolveStation()) return;
+    load();
+    if (!pinned) setInterval(load, REFRESH_INTERVAL);
+}
+
+init();
@@ -0,0 +1,140 @@
+/**
+ * Verification page
+ * Shows how each member, core and the Mean scored against observations,
+ * overall and by lead time
+ */
+
+import { CONFIG } from './config.js';
+import { fetchVerification, fetchVerificationStations } from './api.js';
+
+const elements = {
+    station: document.getElementById('stationSelect'),
+    param: document.getElementById('paramSelect'),
+    metric: document.getElementById('metricSelect'),
+    note: document.getElementById('verifyNote'),
+    head: document.getElementById('scoreHead'),
+    rows: document.getElementById('scoreRows')
+};
+
+// Summary rows first, then members in registry order
+const SUMMARY_ROWS = ['Mean', 'ARW', 'NMB'];
+const SUMMARY_LABELS = { Mean: 'Ensemble Mean', ARW: 'ARW core', NMB: 'NMB core' };
+
+function formatScore(value, param) {
+    const digits = CONFIG.params[param].type === 'temp' || CONFIG.params[param].type === 'wind' ? 1 : 2;
+    return value.toFixed(digits);
+}
+
+// Best = lowest MAE/CRPS, or bias closest to zero
+function isBetter(metric, a, b) {
+    return metric === 'bias' ? Math.abs(a) < Math.abs(b) : a < b;
+}
+
+function render(result) {
+    const metric = elements.metric.value;
+    const { param, scores, leadTimes, runs } = result;
+    const unit = CONFIG.params[param].unit;
+
+    if (scores.length === 0) {
+        elements.note.textContent = `No archived ${param} runs at ${result.station} overlap the uploaded observations yet.`;
+        elements.head.innerHTML = '';
+        elements.rows.innerHTML = '';
+        return;
+    }
+
+    elements.note.textContent = `${runs} archived runs verified. ` +
+        `${metric === 'crps' ? 'CRPS scores the cores and Mean as ensembles' : metric.toUpperCase()} in ${unit}, by lead time in hours.`;
+
+    const columns = ['overall', ...leadTimes];
+    const valueOf = (score, column) => (column === 'overall' ? score.overall : score.byLead[column])?.[metric];
+
+    // Best member per column (summary rows are compared separately)
+    const members = scores.filter(s => s.kind === 'member');
+    const best = {};
+    for (const column of columns) {
+        for (const score of members) {
+            const value = valueOf(score, column);
+            if (value !== undefined && (best[column] === undefined || isBetter(metric, value, best[column]))) {
+                best[column] = value;
+            }
+        }
+    }
+
+    elements.head.innerHTML = `<tr><th>Forecast</th><th>All</th>${leadTimes.map(h => `<th>${h}h</th>`).join('')}</tr>`;
+
+    const ordered = [
+        ...SUMMARY_ROWS.map(name => scores.find(s => s.name === name)).filter(Boolean),
+        ...Object.keys(CONFIG.memberColors).map(name => members.find(s => s.name === name)).filter(Boolean),
+        ...members.filter(s => !CONFIG.memberColors[s.name])
+    ];
+
+    elements.rows.innerHTML = ordered.map(score => {
+        const isMember = score.kind === 'member';
+        const label = isMember
+            ? `<span class="member-swatch" style="background:${CONFIG.memberColors[score.name] || '#666'}"></span>${score.name}`
+            : SUMMARY_LABELS[score.name];
+        const cells = columns.map(column => {
+            const value = valueOf(score, column);
+            if (value === undefined) return '<td>--</td>';
+            const highlight = isMember && value === best[column] ? ' class="best"' : '';
+            return `<td${highlight}>${formatScore(value, param)}</td>`;
+        }).join('');
+        return `<tr class="${isMember ? '' : 'summary-row'}"><td>${label}</td>${cells}</tr>`;
+    }).join('');
+}
+
+let current = null;
+
+async function load() {
+    const station = elements.station.value;
+    const param = elements.param.value;
+    if (!station) return;
+
+    const params = new URLSearchParams({ station, param });
+    history.replaceState(null, '', `?${params.toString()}`);
+
+    elements.note.textContent = 'Scoring...';
+    try {
+        current = await fetchVerification(station, param);
+        render(current);
+    } catch (err) {
+        elements.note.textContent = `Failed to load scores: ${err.message}`;
+    }
+}
+
+async function init() {
+    const urlParams = new URLSearchParams(window.location.search);
+
+    elements.param.innerHTML = Object.entries(CONFIG.params)
+        .map(([param, info]) => `<option value="${param}">${info.name}</option>`)
+        .join('');
+    elements.param.value = CONFIG.params[urlParams.get('param')] ? urlParams.get('param') : '3hrly-TMP';
+
+    let stations = [];
+    try {
+        stations = await fetchVerificationStations();
+    } catch (err) {
+        elements.note.textContent = `Failed to load stations: ${err.message}`;
+        return;
+    }
+
+    if (stations.length === 0) {
+        elements.note.textContent = 'No station has both archived runs and observations yet. ' +
+            'Enable the archive and upload observations in the admin panel.';
+        return;
+    }
+
+    elements.station.innerHTML = stations
+        .map(s => `<option value="${s.station}">${s.station} (${s.archivedRuns} runs)</option>`)
+        .join('');
+    const urlStation = (urlParams.get('station') || '').toUpperCase();
+    if (stations.some(s => s.station === urlStation)) elements.station.value = urlStation;
+
+    elements.station.addEventListener('change', load);
+    elements.param.addEventListener('change', load);
+    elements.metric.addEventListener('change', () => current && render(current));
+
+    load();
+}
+
+init();
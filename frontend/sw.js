@@ -3,7 +3,7 @@
  * Provides offline support and caching
  */
 
-const CACHE_NAME = 'sref-v1';
+const CACHE_NAME = 'sref-v4'; // v4 drops admin responses earlier versions cached
 const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
 
 // Assets to precache on install
@@ -63,6 +63,12 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
+    // Never cache credentialed responses (admin API, bearer tokens) - they would
+    // outlive the session on disk and be replayable offline
+    if (url.pathname.startsWith('/api/admin/') || event.request.headers.has('Authorization')) {
+        return;
+    }
+
     // API requests: network-first with cache fallback
     if (url.pathname.startsWith('/api/')) {
         event.respondWith(networkFirstWithCache(event.request));
@@ -84,28 +90,31 @@ self.addEventListener('fetch', (event) => {
 
 /**
  * Network-first strategy with cache fallback
- * Used for API requests - always try network first for fresh data
+ * Used for API requests - always asks the network, but sends the cached
+ * response's validators so unchanged data comes back as a 304 with no body
  */
 async function networkFirstWithCache(request) {
     const cache = await caches.open(CACHE_NAME);
+    const cachedResponse = await cache.match(request);
 
     try {
-        const networkResponse = await fetch(request);
+        const networkResponse = await fetch(withValidators(request, cachedResponse));
+
+        // Not modified - the cached copy is still current
+        if (networkResponse.status === 304 && cachedResponse) {
+            return cachedResponse;
+        }
 
         // Only cache successful responses
         if (networkResponse.ok) {
             // Clone response because it can only be consumed once
-            const responseToCache = networkResponse.clone();
-
-            // Add timestamp to cached response
-            cache.put(request, responseToCache);
+            cache.put(request, networkResponse.clone());
         }
 
         return networkResponse;
     } catch (error) {
-        // Network failed, try cache
+        // Network failed, fall back to cache
         console.log('[SW] Network failed, trying cache:', request.url);
-        const cachedResponse = await cache.match(request);
 
         if (cachedResponse) {
             console.log('[SW] Serving from cache:', request.url);
@@ -123,6 +132,25 @@ async function networkFirstWithCache(request) {
     }
 }
 
+/**
+ * Copy of a request carrying If-None-Match / If-Modified-Since from a cached response
+ */
+function withValidators(request, cachedResponse) {
+    if (!cachedResponse) {
+        return request;
+    }
+
+    const headers = new Headers(request.headers);
+    const etag = cachedResponse.headers.get('ETag');
+    const lastModified = cachedResponse.headers.get('Last-Modified');
+    if (etag) headers.set('If-None-Match', etag);
+    if (lastModified) headers.set('If-Modified-Since', lastModified);
+
+    // Conditional headers make fetch() hand the 304 back to us instead of
+    // resolving it against the HTTP cache
+    return new Request(request, { headers });
+}
+
 /**
  * Cache-first strategy with network fallback
  * Used for static assets - prefer cached version for speed
@@ -163,3 +191,32 @@ async function updateCacheInBackground(request, cache) {
         // Silent fail - we already served from cache
     }
 }
+
+// Push event - show a threshold notification from the server
+self.addEventListener('push', (event) => {
+    const data = event.data ? event.data.json() : {};
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'SREF Viewer', {
+            body: data.body,
+            tag: data.tag,
+            icon: '/uploads/favicon.png',
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+// Notification click - focus an open viewer on the run, or open one
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url, self.location.origin).href;
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+            const client = clients.find(c => new URL(c.url).origin === self.location.origin);
+            if (client) {
+                return client.navigate(url).then(c => (c || client).focus());
+            }
+            return self.clients.openWindow(url);
+        })
+    );
+});